@@ -2,8 +2,13 @@
 import { Appointment } from '../models/Appointment.js';
 import { Doctor } from '../models/Doctor.js';
 import { Patient } from '../models/Patient.js';
+import { AvailabilityService } from '../services/AvailabilityService.js';
+import { BookingService } from '../services/BookingService.js';
+import { AppointmentStatusService } from '../services/AppointmentStatusService.js';
+import { NoShowService } from '../services/NoShowService.js';
+import { PermissionService } from '../services/PermissionService.js';
 import { ApiResponse } from '../../utils/apiResponse.js';
-import { asyncHandler } from '../../utils/errorHandler.js';
+import { asyncHandler, ForbiddenError } from '../../utils/errorHandler.js';
 import mongoose from 'mongoose';
 
 export class AppointmentController {
@@ -36,37 +41,22 @@ export class AppointmentController {
       );
     }
 
-    // Validate patient exists (from auth middleware)
-    const patientId = req.user.profile; // This should be the patient's profile ID
-    const patient = await Patient.findById(patientId);
+    // Validate patient profile of the authenticated user exists
+    const patient = await Patient.findOne({ user: req.user._id });
     if (!patient) {
       return res.status(404).json(
         ApiResponse.error('Patient profile not found')
       );
     }
+    const patientId = patient._id;
 
-    // Check for conflicting appointments
-    const appointmentDateTime = new Date(`${appointmentDate}T${appointmentTime}`);
-    const conflictingAppointment = await Appointment.findOne({
-      doctor: doctorId,
-      appointmentDate: {
-        $gte: new Date(appointmentDateTime.getTime() - 30 * 60000), // 30 minutes before
-        $lte: new Date(appointmentDateTime.getTime() + 30 * 60000)  // 30 minutes after
-      },
-      status: { $nin: ['cancelled', 'no-show'] }
-    });
+    // Repeat no-shows lose self-service booking
+    await NoShowService.assertCanBook(patientId);
 
-    if (conflictingAppointment) {
-      return res.status(409).json(
-        ApiResponse.error('Doctor is not available at this time')
-      );
-    }
-
-    // Create appointment
-    const appointment = new Appointment({
+    // Requested time must be a free, unreserved slot within the doctor's availability
+    const appointment = await BookingService.book(doctor, {
       patient: patientId,
-      doctor: doctorId,
-      appointmentDate: appointmentDateTime,
+      appointmentDate: AvailabilityService.combineDateAndTime(appointmentDate, appointmentTime),
       appointmentTime,
       duration,
       reasonForVisit,
@@ -78,9 +68,7 @@ export class AppointmentController {
         totalAmount: doctor.consultationFee || 100
       },
       status: 'scheduled'
-    });
-
-    await appointment.save();
+    }, { actor: req.user });
 
     // Populate the appointment data for response
     await appointment.populate([
@@ -96,6 +84,20 @@ export class AppointmentController {
     );
   });
 
+  /**
+   * Get appointments of the current user's patient or doctor profile
+   */
+  static getMyAppointments = asyncHandler(async (req, res, next) => {
+    if (req.user.profileType === 'patient') {
+      return AppointmentController.getPatientAppointments(req, res, next);
+    }
+    if (req.user.profileType === 'doctor') {
+      return AppointmentController.getDoctorAppointments(req, res, next);
+    }
+
+    throw new ForbiddenError('A patient or doctor profile is required for this endpoint');
+  });
+
   /**
    * Get all appointments for a patient
    */
@@ -182,13 +184,7 @@ export class AppointmentController {
    */
   static updateAppointmentStatus = asyncHandler(async (req, res) => {
     const { appointmentId } = req.params;
-    const { status, notes } = req.body;
-
-    if (!['confirmed', 'in-progress', 'completed', 'cancelled', 'no-show'].includes(status)) {
-      return res.status(400).json(
-        ApiResponse.error('Invalid appointment status')
-      );
-    }
+    const { status, notes, reason, followUpRequired, followUpDate } = req.body;
 
     const appointment = await Appointment.findById(appointmentId);
     if (!appointment) {
@@ -198,31 +194,26 @@ export class AppointmentController {
     }
 
     // Check if user has permission to update this appointment
-    const userRole = req.user.role;
-    const userId = req.user.profile;
-
-    if (userRole === 'patient' && appointment.patient.toString() !== userId) {
-      return res.status(403).json(
-        ApiResponse.error('Not authorized to update this appointment')
-      );
-    }
-
-    if (userRole === 'doctor' && appointment.doctor.toString() !== userId) {
-      return res.status(403).json(
-        ApiResponse.error('Not authorized to update this appointment')
-      );
-    }
+    PermissionService.assertAppointmentAccess(
+      req.user,
+      appointment,
+      'appointments:update-status',
+      'Not authorized to update this appointment'
+    );
 
-    appointment.status = status;
-    if (notes) {
-      appointment.notes = notes;
+    // Doctors set the follow-up when completing the visit
+    if (status === 'completed' && followUpRequired !== undefined) {
+      appointment.followUpRequired = followUpRequired;
+      appointment.followUpDate = followUpRequired ? followUpDate : undefined;
     }
 
-    await appointment.save();
+    // Transition table decides which permission each status change needs
+    await AppointmentStatusService.transition(appointment, status, req.user, { reason, notes });
 
     await appointment.populate([
       { path: 'patient', select: 'firstName lastName email phone' },
-      { path: 'doctor', select: 'firstName lastName specialty' }
+      { path: 'doctor', select: 'firstName lastName specialty' },
+      { path: 'statusHistory.changedBy', select: 'name role' }
     ]);
 
     res.json(
@@ -234,69 +225,112 @@ export class AppointmentController {
   });
 
   /**
-   * Get doctor notifications (pending appointments)
+   * Get appointment by ID
    */
-  static getDoctorNotifications = asyncHandler(async (req, res) => {
-    const doctorId = req.user.profile;
+  static getAppointmentById = asyncHandler(async (req, res) => {
+    const { appointmentId } = req.params;
 
-    // Get new appointments (scheduled status) from today onwards
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    const appointment = await Appointment.findById(appointmentId)
+      .populate('patient', 'firstName lastName email phone')
+      .populate('doctor', 'firstName lastName specialty consultationFee');
 
-    const notifications = await Appointment.find({
-      doctor: doctorId,
-      status: 'scheduled',
-      appointmentDate: { $gte: today }
-    })
-      .populate('patient', 'firstName lastName')
-      .sort({ appointmentDate: 1 })
-      .limit(10);
+    if (!appointment) {
+      return res.status(404).json(
+        ApiResponse.error('Appointment not found')
+      );
+    }
+
+    // Check if user has permission to view this appointment
+    PermissionService.assertAppointmentAccess(
+      req.user,
+      appointment,
+      'appointments:read',
+      'Not authorized to view this appointment'
+    );
+
+    const rescheduleChain = await BookingService.getRescheduleChain(appointment);
 
     res.json(
       ApiResponse.success(
-        'Doctor notifications retrieved successfully',
-        notifications
+        'Appointment retrieved successfully',
+        {
+          ...appointment.toObject(),
+          rescheduleChain
+        }
       )
     );
   });
 
   /**
-   * Get appointment by ID
+   * Reschedule appointment to a new time
    */
-  static getAppointmentById = asyncHandler(async (req, res) => {
+  static rescheduleAppointment = asyncHandler(async (req, res) => {
     const { appointmentId } = req.params;
+    const { appointmentDate, appointmentTime, duration, reason } = req.body;
 
-    const appointment = await Appointment.findById(appointmentId)
-      .populate('patient', 'firstName lastName email phone')
-      .populate('doctor', 'firstName lastName specialty consultationFee');
-
+    const appointment = await Appointment.findById(appointmentId);
     if (!appointment) {
       return res.status(404).json(
         ApiResponse.error('Appointment not found')
       );
     }
 
-    // Check if user has permission to view this appointment
-    const userRole = req.user.role;
-    const userId = req.user.profile;
+    // Either party of the appointment (or staff allowed to reschedule any) may reschedule
+    PermissionService.assertAppointmentAccess(
+      req.user,
+      appointment,
+      'appointments:reschedule',
+      'Not authorized to reschedule this appointment'
+    );
 
-    if (userRole === 'patient' && appointment.patient._id.toString() !== userId) {
-      return res.status(403).json(
-        ApiResponse.error('Not authorized to view this appointment')
+    const doctor = await Doctor.findById(appointment.doctor);
+    if (!doctor) {
+      return res.status(404).json(
+        ApiResponse.error('Doctor not found')
       );
     }
 
-    if (userRole === 'doctor' && appointment.doctor._id.toString() !== userId) {
-      return res.status(403).json(
-        ApiResponse.error('Not authorized to view this appointment')
-      );
-    }
+    const rescheduled = await BookingService.reschedule(
+      appointment,
+      doctor,
+      {
+        appointmentDate: AvailabilityService.combineDateAndTime(appointmentDate, appointmentTime),
+        appointmentTime,
+        duration,
+        reason
+      },
+      req.user
+    );
+
+    await rescheduled.populate([
+      { path: 'patient', select: 'firstName lastName email phone' },
+      { path: 'doctor', select: 'firstName lastName specialty consultationFee' },
+      { path: 'rescheduledFrom', select: 'appointmentId appointmentDate appointmentTime status cancellationReason' }
+    ]);
+
+    res.status(201).json(
+      ApiResponse.success(
+        'Appointment rescheduled successfully',
+        rescheduled
+      )
+    );
+  });
+
+  /**
+   * Get no-show counts per doctor or patient (admin only)
+   */
+  static getNoShowReport = asyncHandler(async (req, res) => {
+    const { groupBy = 'patient', from, to } = req.query;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const report = await NoShowService.report({ groupBy, from, to, limit });
 
     res.json(
       ApiResponse.success(
-        'Appointment retrieved successfully',
-        appointment
+        'No-show report retrieved successfully',
+        report,
+        { groupBy, from: from || null, to: to || null }
       )
     );
   });
-}
\ No newline at end of file
+}
@@ -0,0 +1,92 @@
+// controllers/AuditController.js
+import { AuditLog } from '../models/AuditLog.js';
+import { AuditService } from '../services/AuditService.js';
+import { ApiResponse } from '../../utils/apiResponse.js';
+import { asyncHandler } from '../../utils/errorHandler.js';
+
+export class AuditController {
+  /**
+   * Search the audit log
+   */
+  static getAuditLogs = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = AuditService.buildFilter(req.query);
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .populate('actor', 'name email role')
+        .sort({ sequence: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json(
+      ApiResponse.paginated(
+        'Audit log retrieved successfully',
+        entries,
+        { page, limit, total }
+      )
+    );
+  });
+
+  /**
+   * Check that no audit entry has been altered or removed
+   */
+  static verifyChain = asyncHandler(async (req, res) => {
+    const result = await AuditService.verifyChain();
+
+    res.json(
+      ApiResponse.success(
+        result.valid ? 'Audit log is intact' : 'Audit log has been tampered with',
+        result
+      )
+    );
+  });
+
+  /**
+   * Who accessed a patient's record, for the patient
+   * Only successful requests by other users are listed.
+   */
+  static getPatientAccessLog = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      patient: req.resource._id,
+      actor: { $ne: req.resource.user },
+      statusCode: { $lt: 400 }
+    };
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .select('timestamp action resourceType accessBasis actor actorRole')
+        .populate('actor', 'name')
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit),
+      AuditLog.countDocuments(filter)
+    ]);
+
+    res.json(
+      ApiResponse.paginated(
+        'Access log retrieved successfully',
+        entries.map(entry => ({
+          accessedAt: entry.timestamp,
+          action: entry.action,
+          resourceType: entry.resourceType,
+          accessBasis: entry.accessBasis,
+          accessedBy: {
+            name: entry.actor?.name || 'System',
+            role: entry.actorRole || 'system'
+          }
+        })),
+        { page, limit, total }
+      )
+    );
+  });
+}
@@ -2,7 +2,14 @@
 import { User } from '../models/User.js';
 import { Patient } from '../models/Patient.js';
 import { Doctor } from '../models/Doctor.js';
+import { AuthTokenService } from '../services/AuthTokenService.js';
+import { SessionService } from '../services/SessionService.js';
+import { TwoFactorService } from '../services/TwoFactorService.js';
+import { SecurityPolicyService } from '../services/SecurityPolicyService.js';
+import { LoginProtectionService } from '../services/LoginProtectionService.js';
+import { AccountEmailService } from '../services/AccountEmailService.js';
 import { ApiResponse } from '../../utils/apiResponse.js';
+import { AUTH_POLICY } from '../../config.js';
 import { 
   asyncHandler, 
   AppError, 
@@ -10,10 +17,68 @@ import {
   ConflictError,
   UnauthorizedError 
 } from '../../utils/errorHandler.js';
-import { 
-  generateToken, 
-  generateRefreshToken 
-} from '../../middleware/auth.js';
+import { verifyToken } from '../../middleware/auth.js';
+import { setAuthCookies, clearAuthCookies, readRefreshToken, wantsBodyToken } from '../../utils/authCookies.js';
+
+/**
+ * Start a session for a fully authenticated user and send the login response
+ */
+const completeLogin = async (user, req, res, extra = {}) => {
+  await LoginProtectionService.recordSuccess(user);
+
+  // Update last login
+  await user.updateLastLogin();
+
+  // Get user profile based on role
+  let profile = null;
+  if (user.role === 'patient') {
+    profile = await Patient.findOne({ user: user._id });
+  } else if (user.role === 'doctor') {
+    profile = await Doctor.findOne({ user: user._id }).populate('user', 'name email');
+  }
+
+  // Start a session and generate tokens
+  const { accessToken, refreshToken } = await SessionService.create(user, req);
+  const csrfToken = setAuthCookies(res, refreshToken);
+
+  res.json(
+    ApiResponse.success(
+      'Login successful',
+      {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          lastLogin: user.lastLogin
+        },
+        profile: profile ? {
+          id: profile._id,
+          ...(user.role === 'patient' 
+            ? { 
+                patientId: profile.patientId,
+                age: profile.age,
+                gender: profile.gender 
+              }
+            : { 
+                doctorId: profile.doctorId,
+                specialization: profile.specialization,
+                isVerified: profile.isVerified 
+              }
+          )
+        } : null,
+        accessToken,
+        csrfToken,
+        ...(wantsBodyToken(req) ? { refreshToken } : {}),
+        twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+        // Only 2FA enrolment is allowed until the user sets it up
+        twoFactorEnrolmentRequired: !user.twoFactor?.enabled &&
+          await SecurityPolicyService.requiresTwoFactor(user.role),
+        ...extra
+      }
+    )
+  );
+};
 
 export class AuthController {
   /**
@@ -33,7 +98,8 @@ export class AuthController {
       name,
       email,
       password,
-      role
+      role,
+      isEmailVerified: false
     });
 
     // Create role-specific profile with minimal required data
@@ -70,16 +136,40 @@ export class AuthController {
       await profile.save(); // This will trigger the pre-save hook to generate doctorId
     }
 
-    // Generate tokens
-    const accessToken = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Registration succeeds even if the verification email cannot be sent
+    try {
+      await AccountEmailService.sendVerification(user);
+    } catch (error) {
+      console.error('❌ Could not send verification email:', error.message);
+    }
 
-    // Set refresh token as httpOnly cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-    });
+    const profileSummary = profile ? {
+      id: profile._id,
+      ...(role === 'patient' ? { patientId: profile.patientId } : { doctorId: profile.doctorId })
+    } : null;
+
+    if (AUTH_POLICY.requireEmailVerification) {
+      return res.status(201).json(
+        ApiResponse.success(
+          'User registered successfully. Please verify your email address to log in',
+          {
+            user: {
+              id: user._id,
+              name: user.name,
+              email: user.email,
+              role: user.role,
+              isEmailVerified: false
+            },
+            profile: profileSummary,
+            verificationRequired: true
+          }
+        )
+      );
+    }
+
+    // Start a session and generate tokens
+    const { accessToken, refreshToken } = await SessionService.create(user, req);
+    const csrfToken = setAuthCookies(res, refreshToken);
 
     res.status(201).json(
       ApiResponse.success(
@@ -91,11 +181,10 @@ export class AuthController {
             email: user.email,
             role: user.role
           },
-          profile: profile ? {
-            id: profile._id,
-            ...(role === 'patient' ? { patientId: profile.patientId } : { doctorId: profile.doctorId })
-          } : null,
-          accessToken
+          profile: profileSummary,
+          accessToken,
+          csrfToken,
+          ...(wantsBodyToken(req) ? { refreshToken } : {})
         }
       )
     );
@@ -110,7 +199,16 @@ export class AuthController {
     // Find user and include password for comparison
     const user = await User.findOne({ email }).select('+password');
     
-    if (!user || !(await user.comparePassword(password))) {
+    if (!user) {
+      await LoginProtectionService.checkUnknownUser(password);
+      throw new UnauthorizedError('Invalid email or password');
+    }
+
+    // Checked before the password so a locked account gives nothing away
+    LoginProtectionService.assertNotLocked(user);
+
+    if (!(await user.comparePassword(password))) {
+      await LoginProtectionService.recordFailure(user);
       throw new UnauthorizedError('Invalid email or password');
     }
 
@@ -118,87 +216,85 @@ export class AuthController {
       throw new UnauthorizedError('Account is deactivated');
     }
 
-    // Update last login
-    await user.updateLastLogin();
-
-    // Get user profile based on role
-    let profile = null;
-    if (user.role === 'patient') {
-      profile = await Patient.findOne({ user: user._id });
-    } else if (user.role === 'doctor') {
-      profile = await Doctor.findOne({ user: user._id }).populate('user', 'name email');
+    if (AUTH_POLICY.requireEmailVerification && user.isEmailVerified === false) {
+      throw new AppError('Please verify your email address before logging in', 403, 'EMAIL_NOT_VERIFIED');
     }
 
-    // Generate tokens
-    const accessToken = generateToken(user._id);
-    const refreshToken = generateRefreshToken(user._id);
+    // Accounts with two-factor authentication finish logging in at /2fa/verify
+    if (user.twoFactor?.enabled) {
+      const challengeToken = await AuthTokenService.issue(user._id, 'two-factor-challenge');
 
-    // Set refresh token as httpOnly cookie
-    res.cookie('refreshToken', refreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
-    });
+      return res.json(
+        ApiResponse.success(
+          'Two-factor authentication required',
+          {
+            twoFactorRequired: true,
+            challengeToken
+          }
+        )
+      );
+    }
 
-    res.json(
-      ApiResponse.success(
-        'Login successful',
-        {
-          user: {
-            id: user._id,
-            name: user.name,
-            email: user.email,
-            role: user.role,
-            lastLogin: user.lastLogin
-          },
-          profile: profile ? {
-            id: profile._id,
-            ...(user.role === 'patient' 
-              ? { 
-                  patientId: profile.patientId,
-                  age: profile.age,
-                  gender: profile.gender 
-                }
-              : { 
-                  doctorId: profile.doctorId,
-                  specialization: profile.specialization,
-                  isVerified: profile.isVerified 
-                }
-            )
-          } : null,
-          accessToken
-        }
-      )
-    );
+    await completeLogin(user, req, res);
   });
 
   /**
-   * Refresh access token
+   * Second login step for accounts with two-factor authentication
    */
-  static refreshToken = asyncHandler(async (req, res) => {
-    const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+  static verifyTwoFactor = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    const challenge = await AuthTokenService.find(challengeToken, 'two-factor-challenge');
+    if (!challenge) {
+      throw new UnauthorizedError('Two-factor challenge is invalid or has expired, please log in again');
+    }
+
+    const user = await TwoFactorService.loadUser(challenge.user);
+    if (!user || !user.isActive) {
+      throw new UnauthorizedError('User not found or inactive');
+    }
+
+    LoginProtectionService.assertNotLocked(user);
 
-    if (!refreshToken) {
-      throw new UnauthorizedError('Refresh token is required');
+    if (!(await TwoFactorService.verify(user, { code, recoveryCode }))) {
+      await AuthTokenService.recordFailure(challenge);
+      await LoginProtectionService.recordFailure(user);
+      throw new UnauthorizedError('Invalid authentication code');
     }
 
-    // User is already validated by refreshTokenAuth middleware
-    const newAccessToken = generateToken(req.user._id);
-    const newRefreshToken = generateRefreshToken(req.user._id);
+    // Single use: a concurrent request may have completed this challenge already
+    if (!(await AuthTokenService.consume(challengeToken, 'two-factor-challenge'))) {
+      throw new UnauthorizedError('Two-factor challenge is invalid or has expired, please log in again');
+    }
 
-    // Set new refresh token as httpOnly cookie
-    res.cookie('refreshToken', newRefreshToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      maxAge: 30 * 24 * 60 * 60 * 1000 // 30 days
+    await completeLogin(user, req, res, {
+      recoveryCodesRemaining: TwoFactorService.remainingRecoveryCodes(user) - (code ? 0 : 1)
     });
+  });
+
+  /**
+   * Refresh access token
+   */
+  static refreshToken = asyncHandler(async (req, res) => {
+    // Token and user are already validated by refreshTokenAuth middleware
+    const { accessToken, refreshToken } = await SessionService.rotate(
+      req.refreshToken,
+      req.refreshTokenPayload,
+      req
+    );
+
+    // Browsers keep using the cookie; body clients get the rotated token back
+    const body = { accessToken };
+    if (req.refreshTokenSource === 'cookie') {
+      body.csrfToken = setAuthCookies(res, refreshToken);
+    } else {
+      body.refreshToken = refreshToken;
+    }
 
     res.json(
       ApiResponse.success(
         'Token refreshed successfully',
-        {
-          accessToken: newAccessToken
-        }
+        body
       )
     );
   });
@@ -207,14 +303,85 @@ export class AuthController {
    * Logout user
    */
   static logout = asyncHandler(async (req, res) => {
-    // Clear refresh token cookie
-    res.clearCookie('refreshToken');
+    // End the server-side session when the token identifies one
+    try {
+      const presented = readRefreshToken(req);
+      if (presented) {
+        const decoded = verifyToken(
+          presented.token,
+          process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key'
+        );
+        if (decoded.sid) {
+          await SessionService.revoke(decoded.userId, decoded.sid, 'logout');
+        }
+      }
+    } catch (error) {
+      // Invalid, expired or revoked tokens and failed CSRF checks need no server-side cleanup
+    }
+
+    clearAuthCookies(res);
 
     res.json(
       ApiResponse.success('Logout successful')
     );
   });
 
+  /**
+   * List active sessions of the current user
+   */
+  static getSessions = asyncHandler(async (req, res) => {
+    const sessions = await SessionService.list(req.user._id);
+
+    res.json(
+      ApiResponse.success(
+        'Sessions retrieved successfully',
+        sessions.map(session => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastUsedAt: session.lastUsedAt,
+          expiresAt: session.expiresAt,
+          current: session._id.toString() === req.sessionId
+        }))
+      )
+    );
+  });
+
+  /**
+   * Revoke one session of the current user
+   */
+  static revokeSession = asyncHandler(async (req, res) => {
+    await SessionService.revoke(req.user._id, req.params.sessionId, 'user-revoked');
+
+    res.json(
+      ApiResponse.success('Session revoked successfully')
+    );
+  });
+
+  /**
+   * Revoke all sessions of the current user
+   */
+  static revokeAllSessions = asyncHandler(async (req, res) => {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const revoked = await SessionService.revokeAll(
+      req.user._id,
+      'user-revoked',
+      keepCurrent ? req.sessionId : null
+    );
+
+    if (!keepCurrent) {
+      clearAuthCookies(res);
+    }
+
+    res.json(
+      ApiResponse.success(
+        'Sessions revoked successfully',
+        { revoked }
+      )
+    );
+  });
+
   /**
    * Get current user profile
    */
@@ -239,6 +406,7 @@ export class AuthController {
             email: user.email,
             role: user.role,
             profileImage: user.profileImage,
+            isEmailVerified: user.isEmailVerified !== false,
             lastLogin: user.lastLogin,
             createdAt: user.createdAt
           },
@@ -293,8 +461,148 @@ export class AuthController {
     user.password = newPassword;
     await user.save();
 
+    // Sign out every other device
+    const revokedSessions = await SessionService.revokeAll(user._id, 'password-changed', req.sessionId);
+
+    res.json(
+      ApiResponse.success(
+        'Password changed successfully',
+        { revokedSessions }
+      )
+    );
+  });
+
+  /**
+   * Verify email address with a token from the verification email
+   */
+  static verifyEmail = asyncHandler(async (req, res) => {
+    const userId = await AuthTokenService.consume(req.body.token, 'email-verification');
+
+    if (!userId) {
+      throw new AppError('Verification link is invalid or has expired', 400, 'INVALID_TOKEN');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+
+    res.json(
+      ApiResponse.success('Email verified successfully')
+    );
+  });
+
+  /**
+   * Send a new verification email
+   */
+  static resendVerification = asyncHandler(async (req, res) => {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Same response whether or not the account exists, so a failed send must not surface either
+    if (user && user.isEmailVerified === false) {
+      try {
+        await AccountEmailService.sendVerification(user);
+      } catch (error) {
+        console.error('❌ Could not send verification email:', error.message);
+      }
+    }
+
     res.json(
-      ApiResponse.success('Password changed successfully')
+      ApiResponse.success('If the account exists and is unverified, a verification email has been sent')
+    );
+  });
+
+  /**
+   * Request a password reset email
+   */
+  static forgotPassword = asyncHandler(async (req, res) => {
+    const user = await User.findOne({ email: req.body.email });
+
+    // Same response whether or not the account exists, so a failed send must not surface either
+    if (user && user.isActive) {
+      try {
+        await AccountEmailService.sendPasswordReset(user);
+      } catch (error) {
+        console.error('❌ Could not send password reset email:', error.message);
+      }
+    }
+
+    res.json(
+      ApiResponse.success('If an account exists for this email, a password reset link has been sent')
+    );
+  });
+
+  /**
+   * Reset password with a token from the reset email
+   */
+  static resetPassword = asyncHandler(async (req, res) => {
+    const { token, password } = req.body;
+    const userId = await AuthTokenService.consume(token, 'password-reset');
+
+    if (!userId) {
+      throw new AppError('Reset link is invalid or has expired', 400, 'INVALID_TOKEN');
+    }
+
+    const user = await User.findById(userId).select('+password');
+    if (!user || !user.isActive) {
+      throw new AppError('Reset link is invalid or has expired', 400, 'INVALID_TOKEN');
+    }
+
+    user.password = password;
+
+    // Receiving the reset email proves ownership of the address
+    if (user.isEmailVerified === false) {
+      user.isEmailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await SessionService.revokeAll(user._id, 'password-reset');
+
+    // The owner proved control of the email address, so lift any lockout
+    await LoginProtectionService.unlock(user._id);
+
+    res.json(
+      ApiResponse.success('Password reset successfully')
+    );
+  });
+
+  /**
+   * List temporarily locked accounts (admin only)
+   */
+  static getLockedAccounts = asyncHandler(async (req, res) => {
+    const users = await LoginProtectionService.listLocked();
+
+    res.json(
+      ApiResponse.success(
+        'Locked accounts retrieved successfully',
+        users
+      )
+    );
+  });
+
+  /**
+   * Unlock an account locked after failed logins (admin only)
+   */
+  static unlockAccount = asyncHandler(async (req, res) => {
+    const user = await LoginProtectionService.unlock(req.params.userId);
+
+    res.json(
+      ApiResponse.success(
+        'Account unlocked successfully',
+        {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role
+        }
+      )
     );
   });
-}
\ No newline at end of file
+}
@@ -2,10 +2,14 @@
 import { Doctor } from '../models/Doctor.js';
 import { User } from '../models/User.js';
 import { Appointment } from '../models/Appointment.js';
+import { AvailabilityException } from '../models/AvailabilityException.js';
+import { AvailabilityService } from '../services/AvailabilityService.js';
+import { PermissionService } from '../services/PermissionService.js';
 import { ApiResponse } from '../../utils/apiResponse.js';
 import { 
   asyncHandler, 
-  NotFoundError 
+  NotFoundError,
+  ConflictError 
 } from '../../utils/errorHandler.js';
 
 export class DoctorController {
@@ -89,12 +93,28 @@ export class DoctorController {
       consultationFee,
       availability,
       phoneNumber,
-      address
+      address,
+      userId
     } = req.body;
 
+    // Admins may create a profile on behalf of a doctor account
+    const ownerId = userId && PermissionService.has(req.user, 'doctors:create-any') ? userId : req.user._id;
+
+    if (ownerId !== req.user._id) {
+      const owner = await User.findById(ownerId);
+      if (!owner || owner.role !== 'doctor') {
+        throw new NotFoundError('Doctor user');
+      }
+    }
+
+    const existingProfile = await Doctor.findOne({ user: ownerId });
+    if (existingProfile) {
+      throw new ConflictError('Doctor profile already exists for this user');
+    }
+
     // Create doctor profile
     const doctor = await Doctor.create({
-      user: req.user._id,
+      user: ownerId,
       specialization,
       qualification,
       experience,
@@ -246,4 +266,122 @@ export class DoctorController {
       )
     );
   });
-}
\ No newline at end of file
+
+  /**
+   * Get bookable slots for a date range
+   */
+  static getAvailableSlots = asyncHandler(async (req, res) => {
+    const doctor = await Doctor.findById(req.params.id).select('availability');
+
+    if (!doctor) {
+      throw new NotFoundError('Doctor');
+    }
+
+    const from = req.query.from || new Date();
+    const to = req.query.to || new Date(new Date(from).getTime() + 6 * 24 * 60 * 60 * 1000);
+    const duration = parseInt(req.query.duration) || 30;
+
+    const slots = await AvailabilityService.getFreeSlots(doctor, from, to, duration);
+
+    res.json(
+      ApiResponse.success(
+        'Available slots retrieved successfully',
+        slots,
+        { total: slots.length, duration }
+      )
+    );
+  });
+
+  /**
+   * Get doctor date exceptions (time off and extra hours)
+   */
+  static getExceptions = asyncHandler(async (req, res) => {
+    const doctor = await Doctor.findById(req.params.id).select('_id');
+
+    if (!doctor) {
+      throw new NotFoundError('Doctor');
+    }
+
+    const filter = { doctor: doctor._id };
+    if (req.query.from) {
+      filter.end = { $gt: AvailabilityService.parseDateTime(req.query.from) };
+    }
+    if (req.query.to) {
+      filter.start = { $lt: AvailabilityService.parseDateTime(req.query.to) };
+    }
+
+    const exceptions = await AvailabilityException.find(filter).sort({ start: 1 });
+
+    res.json(
+      ApiResponse.success(
+        'Doctor availability exceptions retrieved successfully',
+        exceptions
+      )
+    );
+  });
+
+  /**
+   * Add a date exception (blocked range or extra window)
+   */
+  static addException = asyncHandler(async (req, res) => {
+    const { type, category, start, end, reason } = req.body;
+
+    const doctor = await Doctor.findById(req.params.id).select('_id');
+
+    if (!doctor) {
+      throw new NotFoundError('Doctor');
+    }
+
+    const exception = await AvailabilityException.create({
+      doctor: doctor._id,
+      type,
+      category,
+      start: AvailabilityService.parseDateTime(start),
+      end: AvailabilityService.parseDateTime(end),
+      reason,
+      createdBy: req.user._id
+    });
+
+    // Existing bookings inside a new blocked range need attention
+    const affectedAppointments = type === 'blocked'
+      ? await AvailabilityService.flagConflictingAppointments(exception)
+      : [];
+
+    res.status(201).json(
+      ApiResponse.success(
+        'Availability exception added successfully',
+        {
+          exception,
+          affectedAppointments: affectedAppointments.map(appointment => ({
+            id: appointment._id,
+            appointmentId: appointment.appointmentId,
+            appointmentDate: appointment.appointmentDate,
+            appointmentTime: appointment.appointmentTime,
+            status: appointment.status
+          }))
+        }
+      )
+    );
+  });
+
+  /**
+   * Remove a date exception
+   */
+  static removeException = asyncHandler(async (req, res) => {
+    const exception = await AvailabilityException.findOne({
+      _id: req.params.exceptionId,
+      doctor: req.params.id
+    });
+
+    if (!exception) {
+      throw new NotFoundError('Availability exception');
+    }
+
+    await AvailabilityService.clearConflictFlags(exception);
+    await exception.deleteOne();
+
+    res.json(
+      ApiResponse.success('Availability exception removed successfully')
+    );
+  });
+}
@@ -0,0 +1,18 @@
+// controllers/EventController.js
+import jwt from 'jsonwebtoken';
+import { RealtimeService } from '../services/RealtimeService.js';
+
+export class EventController {
+  /**
+   * Open a Server-Sent Events stream of appointment updates for the current user
+   */
+  static stream = (req, res) => {
+    const token = req.headers.authorization.split(' ')[1];
+    const { exp } = jwt.decode(token) || {};
+
+    RealtimeService.addClient(req.user._id.toString(), res, {
+      expiresAt: exp ? new Date(exp * 1000) : null,
+      sessionId: req.sessionId
+    });
+  };
+}
@@ -0,0 +1,114 @@
+// controllers/FollowUpController.js
+import { Appointment } from '../models/Appointment.js';
+import { AvailabilityService } from '../services/AvailabilityService.js';
+import { FollowUpService } from '../services/FollowUpService.js';
+import { PermissionService } from '../services/PermissionService.js';
+import { ApiResponse } from '../../utils/apiResponse.js';
+import { 
+  asyncHandler, 
+  NotFoundError 
+} from '../../utils/errorHandler.js';
+
+export class FollowUpController {
+  /**
+   * Get follow-ups the current patient still has to book
+   */
+  static getPendingFollowUps = asyncHandler(async (req, res) => {
+    const appointments = await Appointment.find(
+      FollowUpService.unbookedFilter({ patient: req.user.profile })
+    )
+      .select('appointmentId appointmentDate doctor duration reasonForVisit followUpDate')
+      .populate({
+        path: 'doctor',
+        select: 'doctorId specialization',
+        populate: {
+          path: 'user',
+          select: 'name'
+        }
+      })
+      .sort({ followUpDate: 1 });
+
+    const followUps = await Promise.all(appointments.map(async appointment => ({
+      appointment,
+      overdue: Boolean(appointment.followUpDate && appointment.followUpDate < new Date()),
+      suggestedSlots: await FollowUpService.suggestSlots(appointment)
+    })));
+
+    res.json(
+      ApiResponse.success(
+        'Pending follow-ups retrieved successfully',
+        followUps
+      )
+    );
+  });
+
+  /**
+   * Get follow-ups of the current doctor that are past due and were never booked
+   */
+  static getOverdueFollowUps = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = FollowUpService.unbookedFilter({
+      doctor: req.user.profile,
+      followUpDate: { $lt: new Date() }
+    });
+
+    const appointments = await Appointment.find(filter)
+      .select('appointmentId appointmentDate patient reasonForVisit followUpDate')
+      .populate({
+        path: 'patient',
+        select: 'patientId phoneNumber',
+        populate: {
+          path: 'user',
+          select: 'name email'
+        }
+      })
+      .sort({ followUpDate: 1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Appointment.countDocuments(filter);
+
+    res.json(
+      ApiResponse.paginated(
+        'Overdue follow-ups retrieved successfully',
+        appointments,
+        { page, limit, total }
+      )
+    );
+  });
+
+  /**
+   * Book the follow-up of a completed appointment
+   */
+  static bookFollowUp = asyncHandler(async (req, res) => {
+    const { appointmentDate, appointmentTime, duration } = req.body;
+
+    const original = await Appointment.findById(req.params.appointmentId);
+    if (!original) {
+      throw new NotFoundError('Appointment');
+    }
+
+    PermissionService.assertAppointmentAccess(
+      req.user,
+      original,
+      'follow-ups:book',
+      'Not authorized to book a follow-up for this appointment'
+    );
+
+    const followUp = await FollowUpService.book(original, {
+      appointmentDate: AvailabilityService.combineDateAndTime(appointmentDate, appointmentTime),
+      appointmentTime,
+      duration
+    }, req.user);
+
+    res.status(201).json(
+      ApiResponse.success(
+        'Follow-up appointment booked successfully',
+        followUp
+      )
+    );
+  });
+}
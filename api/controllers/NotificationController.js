@@ -0,0 +1,89 @@
+// controllers/NotificationController.js
+import { Notification } from '../models/Notification.js';
+import { ApiResponse } from '../../utils/apiResponse.js';
+import { 
+  asyncHandler, 
+  NotFoundError 
+} from '../../utils/errorHandler.js';
+
+export class NotificationController {
+  /**
+   * Get notifications of the current user
+   */
+  static getNotifications = asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    // Build filter
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+    if (req.query.type) {
+      filter.type = req.query.type;
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const [total, unread] = await Promise.all([
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ recipient: req.user._id, readAt: null })
+    ]);
+
+    const response = ApiResponse.paginated(
+      'Notifications retrieved successfully',
+      notifications,
+      { page, limit, total }
+    );
+    response.meta.unread = unread;
+
+    res.json(response);
+  });
+
+  /**
+   * Mark a single notification as read
+   */
+  static markAsRead = asyncHandler(async (req, res) => {
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      recipient: req.user._id
+    });
+
+    if (!notification) {
+      throw new NotFoundError('Notification');
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json(
+      ApiResponse.success(
+        'Notification marked as read',
+        notification
+      )
+    );
+  });
+
+  /**
+   * Mark all notifications of the current user as read
+   */
+  static markAllAsRead = asyncHandler(async (req, res) => {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    res.json(
+      ApiResponse.success(
+        'All notifications marked as read',
+        { updated: result.modifiedCount }
+      )
+    );
+  });
+}
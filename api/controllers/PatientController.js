@@ -2,15 +2,23 @@
 import { Patient } from '../models/Patient.js';
 import { User } from '../models/User.js';
 import { Appointment } from '../models/Appointment.js';
+import { Referral } from '../models/Referral.js';
+import { CareTeamService } from '../services/CareTeamService.js';
+import { ConsentService, CONSENT_CATEGORIES } from '../services/ConsentService.js';
+import { PatientRetentionService } from '../services/PatientRetentionService.js';
+import { PermissionService } from '../services/PermissionService.js';
 import { ApiResponse } from '../../utils/apiResponse.js';
+import { eventBus, EVENTS } from '../../utils/events.js';
 import { 
   asyncHandler, 
-  NotFoundError 
+  NotFoundError,
+  UnauthorizedError
 } from '../../utils/errorHandler.js';
 
 export class PatientController {
   /**
-   * Get all patients (admin/doctor only)
+   * Get all patients, or only those in the doctor's care without patients:list-any
+   * Each profile leaves out the categories that patient does not share with the caller.
    */
   static getAllPatients = asyncHandler(async (req, res) => {
     const page = parseInt(req.query.page) || 1;
@@ -19,6 +27,11 @@ export class PatientController {
 
     // Build filter
     const filter = {};
+    const listAny = PermissionService.has(req.user, 'patients:list-any');
+    if (!listAny) {
+      filter._id = { $in: await CareTeamService.getPatientIds(req.user.profile) };
+    }
+
     if (req.query.search) {
       const searchRegex = new RegExp(req.query.search, 'i');
       const userIds = await User.find({
@@ -43,17 +56,23 @@ export class PatientController {
 
     const total = await Patient.countDocuments(filter);
 
+    // Without list-any the list only holds the caller's care team
+    const access = listAny ? 'any' : 'care-team';
+    const redacted = await Promise.all(patients.map(async (patient) =>
+      ConsentService.redactProfile(patient, await ConsentService.resolveCategories(patient, req.user, access))
+    ));
+
     res.json(
       ApiResponse.paginated(
         'Patients retrieved successfully',
-        patients,
+        redacted,
         { page, limit, total }
       )
     );
   });
 
   /**
-   * Get patient by ID
+   * Get patient by ID, without the categories the patient does not share with the caller
    */
   static getPatientById = asyncHandler(async (req, res) => {
     const patient = await Patient.findById(req.params.id)
@@ -63,10 +82,13 @@ export class PatientController {
       throw new NotFoundError('Patient');
     }
 
+    const sharing = await ConsentService.resolveCategories(patient, req.user, req.patientAccess);
+    req.patientAccess = sharing.access;
+
     res.json(
       ApiResponse.success(
         'Patient retrieved successfully',
-        patient
+        ConsentService.redactProfile(patient, sharing)
       )
     );
   });
@@ -142,6 +164,7 @@ export class PatientController {
     if (bloodGroup) patient.bloodGroup = bloodGroup;
 
     await patient.save();
+    eventBus.emit(EVENTS.MEDICAL_RECORD_UPDATED, { patient, actor: req.user, change: 'profile' });
     await patient.populate('user', 'name email');
 
     res.json(
@@ -154,18 +177,72 @@ export class PatientController {
 
   /**
    * Delete patient profile
+   * The profile is hidden and the account deactivated; it is erased once the grace period ends.
    */
   static deletePatient = asyncHandler(async (req, res) => {
-    const patient = await Patient.findById(req.params.id);
+    const patient = await PatientRetentionService.softDelete(req.resource, req.user);
 
-    if (!patient) {
-      throw new NotFoundError('Patient');
+    res.json(
+      ApiResponse.success(
+        'Patient profile deleted successfully',
+        {
+          deletedAt: patient.deletedAt,
+          erasureScheduledFor: PatientRetentionService.erasureDate(patient)
+        }
+      )
+    );
+  });
+
+  /**
+   * Restore a deleted patient profile before it is erased
+   */
+  static restorePatient = asyncHandler(async (req, res) => {
+    const patient = await PatientRetentionService.restore(req.resource);
+    await patient.populate('user', 'name email');
+
+    res.json(
+      ApiResponse.success(
+        'Patient profile restored successfully',
+        patient
+      )
+    );
+  });
+
+  /**
+   * Export everything stored about the patient and their account
+   */
+  static exportPatientData = asyncHandler(async (req, res) => {
+    const data = await PatientRetentionService.exportData(req.resource);
+
+    res.attachment(`daktarihub-export-${req.resource.patientId}.json`);
+    res.json(
+      ApiResponse.success(
+        'Patient data exported successfully',
+        data
+      )
+    );
+  });
+
+  /**
+   * Erase the patient now instead of after the grace period
+   * Patients confirm with their password; clinical records are kept for the retention period.
+   */
+  static erasePatient = asyncHandler(async (req, res) => {
+    if (req.patientAccess === 'owner') {
+      const user = await User.findById(req.user._id).select('+password');
+
+      if (!req.body.password || !(await user.comparePassword(req.body.password))) {
+        throw new UnauthorizedError('Password is incorrect');
+      }
     }
 
-    await Patient.findByIdAndDelete(req.params.id);
+    const result = await PatientRetentionService.erase(req.resource, req.user);
 
     res.json(
-      ApiResponse.success('Patient profile deleted successfully')
+      ApiResponse.success(
+        'Patient data erased. Clinical records are retained as required and purged afterwards',
+        result
+      )
     );
   });
 
@@ -207,32 +284,41 @@ export class PatientController {
 
     const total = await Appointment.countDocuments(filter);
 
+    const sharing = await ConsentService.resolveCategories(req.resource, req.user, req.patientAccess);
+    req.patientAccess = sharing.access;
+
     res.json(
       ApiResponse.paginated(
         'Patient appointments retrieved successfully',
-        appointments,
+        appointments.map(appointment => ConsentService.redactAppointment(appointment, sharing, req.user)),
         { page, limit, total }
       )
     );
   });
 
   /**
-   * Get patient medical history
+   * Get patient medical history, without the categories the patient does not share with the caller
    */
   static getMedicalHistory = asyncHandler(async (req, res) => {
-    const patient = await Patient.findById(req.params.id).select('medicalHistory allergies bloodGroup');
+    const patient = await Patient.findById(req.params.id).select('user medicalHistory allergies bloodGroup consent');
 
     if (!patient) {
       throw new NotFoundError('Patient');
     }
 
+    const sharing = await ConsentService.resolveCategories(patient, req.user, req.patientAccess);
+    req.patientAccess = sharing.access;
+
+    const shared = (category, data) => sharing.categories.includes(category) ? data : undefined;
+
     res.json(
       ApiResponse.success(
         'Medical history retrieved successfully',
         {
-          medicalHistory: patient.medicalHistory,
-          allergies: patient.allergies,
-          bloodGroup: patient.bloodGroup
+          medicalHistory: shared('medicalHistory', patient.medicalHistory),
+          allergies: shared('allergies', patient.allergies),
+          bloodGroup: shared('medicalHistory', patient.bloodGroup),
+          withheldCategories: sharing.withheld
         }
       )
     );
@@ -258,6 +344,7 @@ export class PatientController {
     });
 
     await patient.save();
+    eventBus.emit(EVENTS.MEDICAL_RECORD_UPDATED, { patient, actor: req.user, change: 'medical-history' });
 
     res.status(201).json(
       ApiResponse.success(
@@ -286,6 +373,7 @@ export class PatientController {
     });
 
     await patient.save();
+    eventBus.emit(EVENTS.MEDICAL_RECORD_UPDATED, { patient, actor: req.user, change: 'allergies' });
 
     res.status(201).json(
       ApiResponse.success(
@@ -294,4 +382,122 @@ export class PatientController {
       )
     );
   });
+
+  /**
+   * Get the patient's sharing preferences
+   */
+  static getConsent = asyncHandler(async (req, res) => {
+    await req.resource.populate({
+      path: CONSENT_CATEGORIES.map(category => `consent.${category}.doctors`).join(' '),
+      select: 'doctorId specialization',
+      populate: {
+        path: 'user',
+        select: 'name'
+      }
+    });
+
+    const consent = Object.fromEntries(CONSENT_CATEGORIES.map(category => [
+      category,
+      ConsentService.getCategory(req.resource, category)
+    ]));
+
+    res.json(
+      ApiResponse.success(
+        'Sharing preferences retrieved successfully',
+        { ...consent, updatedAt: req.resource.consent?.updatedAt || null }
+      )
+    );
+  });
+
+  /**
+   * Change who may see each category of the patient's record
+   */
+  static updateConsent = asyncHandler(async (req, res) => {
+    const consent = await ConsentService.update(req.resource, req.body);
+
+    res.json(
+      ApiResponse.success(
+        'Sharing preferences updated successfully',
+        consent
+      )
+    );
+  });
+
+  /**
+   * Break-glass: open a record in an emergency regardless of consent or care team
+   * The grant is audit-logged with its reason and the patient is notified.
+   */
+  static grantEmergencyAccess = asyncHandler(async (req, res) => {
+    const patient = await Patient.findById(req.params.id);
+
+    if (!patient) {
+      throw new NotFoundError('Patient');
+    }
+
+    const access = await ConsentService.grantEmergencyAccess(patient, req.user, req.body.reason);
+
+    req.patientAccess = 'break-glass';
+    req.auditDetails = { reason: access.reason, expiresAt: access.expiresAt };
+
+    res.status(201).json(
+      ApiResponse.success(
+        'Emergency access granted. Every use of the record is logged and the patient has been notified',
+        access
+      )
+    );
+  });
+
+  /**
+   * Get referrals of a patient
+   */
+  static getReferrals = asyncHandler(async (req, res) => {
+    const referrals = await Referral.find({ patient: req.resource._id })
+      .populate({
+        path: 'fromDoctor toDoctor',
+        select: 'doctorId specialization',
+        populate: {
+          path: 'user',
+          select: 'name'
+        }
+      })
+      .sort({ createdAt: -1 });
+
+    res.json(
+      ApiResponse.success(
+        'Referrals retrieved successfully',
+        referrals.map(referral => ({
+          ...referral.toObject(),
+          active: !referral.revokedAt && referral.expiresAt > new Date()
+        }))
+      )
+    );
+  });
+
+  /**
+   * Refer a patient to another doctor, granting them access to the record
+   */
+  static referPatient = asyncHandler(async (req, res) => {
+    const referral = await CareTeamService.refer(req.resource, req.body, req.user);
+
+    res.status(201).json(
+      ApiResponse.success(
+        'Patient referred successfully',
+        referral
+      )
+    );
+  });
+
+  /**
+   * Revoke a referral
+   */
+  static revokeReferral = asyncHandler(async (req, res) => {
+    const referral = await CareTeamService.revokeReferral(req.resource, req.params.referralId, req.user);
+
+    res.json(
+      ApiResponse.success(
+        'Referral revoked successfully',
+        referral
+      )
+    );
+  });
 }
@@ -0,0 +1,250 @@
+// controllers/PrescriptionController.js
+import { Appointment } from '../models/Appointment.js';
+import { Patient } from '../models/Patient.js';
+import { Doctor } from '../models/Doctor.js';
+import { PrescriptionService } from '../services/PrescriptionService.js';
+import { DocumentService } from '../services/DocumentService.js';
+import { PermissionService } from '../services/PermissionService.js';
+import { CareTeamService } from '../services/CareTeamService.js';
+import { ConsentService } from '../services/ConsentService.js';
+import { ApiResponse } from '../../utils/apiResponse.js';
+import { eventBus, EVENTS } from '../../utils/events.js';
+import { 
+  asyncHandler, 
+  AppError,
+  NotFoundError, 
+  ForbiddenError,
+  ConflictError 
+} from '../../utils/errorHandler.js';
+
+/**
+ * Load an appointment and make sure the current user may access it
+ * Parties need `permission`; anyone else needs its `-any` variant.
+ */
+const loadAppointmentForUser = async (req, permission = 'prescriptions:read') => {
+  const appointment = await Appointment.findById(req.params.appointmentId);
+
+  if (!appointment) {
+    throw new NotFoundError('Appointment');
+  }
+
+  PermissionService.assertAppointmentAccess(req.user, appointment, permission);
+
+  // Only the treating doctor signs prescriptions
+  if (permission === 'prescriptions:write' && appointment.doctor.toString() !== req.user.profile) {
+    throw new ForbiddenError('Only the doctor of this appointment can write its prescription');
+  }
+
+  return appointment;
+};
+
+export class PrescriptionController {
+  /**
+   * Get the prescription of an appointment with its revisions
+   */
+  static getPrescription = asyncHandler(async (req, res) => {
+    const appointment = await loadAppointmentForUser(req);
+
+    if (!appointment.prescription?.version) {
+      throw new NotFoundError('Prescription');
+    }
+
+    res.json(
+      ApiResponse.success(
+        'Prescription retrieved successfully',
+        {
+          appointmentId: appointment.appointmentId,
+          prescription: appointment.prescription,
+          revisions: appointment.prescriptionRevisions
+        }
+      )
+    );
+  });
+
+  /**
+   * Create the prescription of an appointment (doctor only)
+   */
+  static createPrescription = asyncHandler(async (req, res) => {
+    const { medications, notes } = req.body;
+    const appointment = await loadAppointmentForUser(req, 'prescriptions:write');
+
+    if (appointment.prescription?.version) {
+      throw new ConflictError('Prescription already exists, amend it instead');
+    }
+
+    const patient = await Patient.findById(appointment.patient).select('allergies user');
+    const allergyWarnings = PrescriptionService.writeVersion(
+      appointment,
+      patient,
+      { medications, notes },
+      req.user
+    );
+
+    await appointment.save();
+    eventBus.emit(EVENTS.MEDICAL_RECORD_UPDATED, { patient, actor: req.user, change: 'prescription', appointment });
+
+    res.status(201).json(
+      ApiResponse.success(
+        allergyWarnings.length > 0
+          ? 'Prescription created with allergy warnings'
+          : 'Prescription created successfully',
+        {
+          appointmentId: appointment.appointmentId,
+          prescription: appointment.prescription,
+          allergyWarnings
+        }
+      )
+    );
+  });
+
+  /**
+   * Amend the prescription of an appointment, keeping earlier versions (doctor only)
+   */
+  static amendPrescription = asyncHandler(async (req, res) => {
+    const { medications, notes, amendmentReason } = req.body;
+    const appointment = await loadAppointmentForUser(req, 'prescriptions:write');
+
+    if (!appointment.prescription?.version) {
+      throw new NotFoundError('Prescription');
+    }
+
+    const patient = await Patient.findById(appointment.patient).select('allergies user');
+    const allergyWarnings = PrescriptionService.writeVersion(
+      appointment,
+      patient,
+      { medications, notes, amendmentReason },
+      req.user
+    );
+
+    await appointment.save();
+    eventBus.emit(EVENTS.MEDICAL_RECORD_UPDATED, { patient, actor: req.user, change: 'prescription', appointment });
+
+    res.json(
+      ApiResponse.success(
+        allergyWarnings.length > 0
+          ? 'Prescription amended with allergy warnings'
+          : 'Prescription amended successfully',
+        {
+          appointmentId: appointment.appointmentId,
+          prescription: appointment.prescription,
+          revisions: appointment.prescriptionRevisions,
+          allergyWarnings
+        }
+      )
+    );
+  });
+
+  /**
+   * Get all prescriptions of the current patient across appointments
+   */
+  static getMyPrescriptions = asyncHandler(async (req, res) => {
+    if (req.user.profileType !== 'patient') {
+      throw new ForbiddenError('Only patients have a prescription history');
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const filter = {
+      patient: req.user.profile,
+      'prescription.version': { $gte: 1 }
+    };
+
+    const appointments = await Appointment.find(filter)
+      .select('appointmentId appointmentDate appointmentTime doctor prescription')
+      .populate({
+        path: 'doctor',
+        select: 'doctorId specialization',
+        populate: {
+          path: 'user',
+          select: 'name'
+        }
+      })
+      .sort({ appointmentDate: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Appointment.countDocuments(filter);
+
+    res.json(
+      ApiResponse.paginated(
+        'Prescriptions retrieved successfully',
+        appointments,
+        { page, limit, total }
+      )
+    );
+  });
+
+  /**
+   * Export prescription and visit summary as PDF
+   */
+  static exportVisitSummary = asyncHandler(async (req, res) => {
+    const appointment = await loadAppointmentForUser(req);
+
+    if (!appointment.prescription?.version && !appointment.notes) {
+      throw new AppError('Appointment has no prescription or notes to export', 409, 'NOTHING_TO_EXPORT');
+    }
+
+    const [doctor, patient] = await Promise.all([
+      Doctor.findById(appointment.doctor).populate('user', 'name'),
+      Patient.findById(appointment.patient).populate('user', 'name')
+    ]);
+
+    // The summary shows the patient's allergies, so it follows the patient's sharing preferences
+    let sharing;
+    if (patient) {
+      const access = await CareTeamService.resolveAccess(req.user, patient, 'patients:read') || 'consent';
+      sharing = await ConsentService.resolveCategories(patient, req.user, access);
+      req.patientAccess = sharing.access;
+    }
+
+    const pdf = await DocumentService.renderVisitSummary(appointment, doctor, patient, sharing);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${appointment.appointmentId}-summary.pdf"`,
+      'Content-Length': pdf.length,
+      'X-Verification-Code': DocumentService.getVerificationCode(appointment)
+    });
+    res.send(pdf);
+  });
+
+  /**
+   * Verify a visit summary code (public, for pharmacies)
+   */
+  static verifyVisitSummary = asyncHandler(async (req, res) => {
+    const { appointmentId, code } = req.query;
+
+    const appointment = await Appointment.findOne({ appointmentId })
+      .select('appointmentId appointmentDate doctor prescription.version prescription.issuedAt')
+      .populate({
+        path: 'doctor',
+        select: 'doctorId',
+        populate: {
+          path: 'user',
+          select: 'name'
+        }
+      });
+
+    if (!appointment || !DocumentService.verifyCode(appointment, code)) {
+      throw new NotFoundError('Valid document');
+    }
+
+    res.json(
+      ApiResponse.success(
+        'Document is valid',
+        {
+          appointmentId: appointment.appointmentId,
+          appointmentDate: appointment.appointmentDate,
+          prescriptionVersion: appointment.prescription?.version || null,
+          issuedAt: appointment.prescription?.issuedAt || null,
+          doctor: {
+            name: appointment.doctor?.user?.name,
+            doctorId: appointment.doctor?.doctorId
+          }
+        }
+      )
+    );
+  });
+}
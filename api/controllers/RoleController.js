@@ -0,0 +1,86 @@
+// controllers/RoleController.js
+import { PermissionService } from '../services/PermissionService.js';
+import { ApiResponse } from '../../utils/apiResponse.js';
+import { PERMISSIONS } from '../../utils/permissions.js';
+import { asyncHandler } from '../../utils/errorHandler.js';
+
+export class RoleController {
+  /**
+   * List every permission the API knows about
+   */
+  static getPermissions = asyncHandler(async (req, res) => {
+    res.json(
+      ApiResponse.success(
+        'Permissions retrieved successfully',
+        Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+      )
+    );
+  });
+
+  /**
+   * List built-in and custom roles
+   */
+  static getRoles = asyncHandler(async (req, res) => {
+    const roles = await PermissionService.listRoles();
+
+    res.json(
+      ApiResponse.success(
+        'Roles retrieved successfully',
+        roles
+      )
+    );
+  });
+
+  /**
+   * Create a custom role
+   */
+  static createRole = asyncHandler(async (req, res) => {
+    const role = await PermissionService.createRole(req.body, req.user);
+
+    res.status(201).json(
+      ApiResponse.success(
+        'Role created successfully',
+        role
+      )
+    );
+  });
+
+  /**
+   * Change the permissions or description of a custom role
+   */
+  static updateRole = asyncHandler(async (req, res) => {
+    const role = await PermissionService.updateRole(req.params.name, req.body, req.user);
+
+    res.json(
+      ApiResponse.success(
+        'Role updated successfully',
+        role
+      )
+    );
+  });
+
+  /**
+   * Delete a custom role
+   */
+  static deleteRole = asyncHandler(async (req, res) => {
+    await PermissionService.deleteRole(req.params.name);
+
+    res.json(
+      ApiResponse.success('Role deleted successfully')
+    );
+  });
+
+  /**
+   * Assign a role to a user
+   */
+  static assignRole = asyncHandler(async (req, res) => {
+    const user = await PermissionService.assignRole(req.params.userId, req.body.role);
+
+    res.json(
+      ApiResponse.success(
+        'Role assigned successfully',
+        user
+      )
+    );
+  });
+}
@@ -0,0 +1,157 @@
+// controllers/TwoFactorController.js
+import { User } from '../models/User.js';
+import { TwoFactorService } from '../services/TwoFactorService.js';
+import { SecurityPolicyService } from '../services/SecurityPolicyService.js';
+import { SessionService } from '../services/SessionService.js';
+import { PermissionService } from '../services/PermissionService.js';
+import { ApiResponse } from '../../utils/apiResponse.js';
+import {
+  asyncHandler,
+  AppError,
+  ForbiddenError,
+  UnauthorizedError
+} from '../../utils/errorHandler.js';
+
+export class TwoFactorController {
+  /**
+   * Get two-factor status of the current user
+   */
+  static getStatus = asyncHandler(async (req, res) => {
+    const user = await TwoFactorService.loadUser(req.user._id);
+
+    res.json(
+      ApiResponse.success(
+        'Two-factor status retrieved successfully',
+        {
+          enabled: Boolean(user.twoFactor?.enabled),
+          enabledAt: user.twoFactor?.enabledAt || null,
+          required: await SecurityPolicyService.requiresTwoFactor(user.role),
+          recoveryCodesRemaining: TwoFactorService.remainingRecoveryCodes(user)
+        }
+      )
+    );
+  });
+
+  /**
+   * Start enrolment: returns the secret and otpauth URI for the authenticator app
+   */
+  static setup = asyncHandler(async (req, res) => {
+    const enrolment = await TwoFactorService.beginEnrolment(req.user._id);
+
+    res.json(
+      ApiResponse.success(
+        'Scan the code with your authenticator app, then confirm with a code',
+        enrolment
+      )
+    );
+  });
+
+  /**
+   * Confirm enrolment with a first code
+   */
+  static enable = asyncHandler(async (req, res) => {
+    const recoveryCodes = await TwoFactorService.confirmEnrolment(req.user._id, req.body.code);
+
+    // Other devices signed in with the password alone
+    await SessionService.revokeAll(req.user._id, 'user-revoked', req.sessionId);
+
+    res.json(
+      ApiResponse.success(
+        'Two-factor authentication enabled. Store the recovery codes somewhere safe',
+        { recoveryCodes }
+      )
+    );
+  });
+
+  /**
+   * Turn two-factor authentication off
+   */
+  static disable = asyncHandler(async (req, res) => {
+    if (await SecurityPolicyService.requiresTwoFactor(req.user.role)) {
+      throw new ForbiddenError('Two-factor authentication is required for your role');
+    }
+
+    const user = await User.findById(req.user._id).select('+password +twoFactor.secret +twoFactor.lastUsedStep +twoFactor.recoveryCodes');
+
+    if (!user.twoFactor?.enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+      throw new UnauthorizedError('Password is incorrect');
+    }
+
+    if (!(await TwoFactorService.verify(user, req.body))) {
+      throw new UnauthorizedError('Invalid authentication code');
+    }
+
+    await TwoFactorService.disable(user);
+
+    res.json(
+      ApiResponse.success('Two-factor authentication disabled')
+    );
+  });
+
+  /**
+   * Replace recovery codes after confirming with a current code
+   */
+  static regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const user = await TwoFactorService.loadUser(req.user._id);
+
+    if (!user.twoFactor?.enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400, 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    if (!(await TwoFactorService.verify(user, { code: req.body.code }))) {
+      throw new UnauthorizedError('Invalid authentication code');
+    }
+
+    const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(user);
+
+    res.json(
+      ApiResponse.success(
+        'Recovery codes regenerated. Earlier codes no longer work',
+        { recoveryCodes }
+      )
+    );
+  });
+
+  /**
+   * Get the two-factor policy
+   */
+  static getPolicy = asyncHandler(async (req, res) => {
+    const policy = await SecurityPolicyService.get();
+
+    res.json(
+      ApiResponse.success(
+        'Security policy retrieved successfully',
+        policy
+      )
+    );
+  });
+
+  /**
+   * Set which roles must use two-factor authentication
+   */
+  static updatePolicy = asyncHandler(async (req, res) => {
+    const requiredRoles = [...new Set(req.body.requiredRoles)];
+
+    for (const role of requiredRoles) {
+      if (!(await PermissionService.roleExists(role))) {
+        throw new AppError(`Unknown role '${role}'`, 400, 'UNKNOWN_ROLE');
+      }
+    }
+
+    const policy = await SecurityPolicyService.update(
+      { twoFactorRequiredRoles: requiredRoles },
+      req.user
+    );
+
+    res.json(
+      ApiResponse.success(
+        'Security policy updated successfully',
+        policy
+      )
+    );
+  });
+}
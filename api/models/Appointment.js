@@ -1,5 +1,30 @@
 // models/Appointment.js
 import mongoose from 'mongoose';
+import { fieldEncryption } from '../../utils/fieldEncryption.js';
+import { Counter } from './Counter.js';
+
+const prescriptionFields = {
+  medications: [{
+    name: String,
+    dosage: String,
+    frequency: String,
+    duration: String,
+    instructions: String
+  }],
+  notes: String,
+  version: Number,
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  issuedAt: Date,
+  amendmentReason: String,
+  allergyWarnings: [{
+    medication: String,
+    allergen: String,
+    severity: String
+  }]
+};
 
 const appointmentSchema = new mongoose.Schema({
   appointmentId: {
@@ -59,16 +84,9 @@ const appointmentSchema = new mongoose.Schema({
     type: String,
     maxlength: [1000, 'Notes cannot exceed 1000 characters']
   },
-  prescription: {
-    medications: [{
-      name: String,
-      dosage: String,
-      frequency: String,
-      duration: String,
-      instructions: String
-    }],
-    notes: String
-  },
+  prescription: prescriptionFields,
+  // Earlier versions kept when a prescription is amended
+  prescriptionRevisions: [prescriptionFields],
   fees: {
     consultationFee: {
       type: Number,
@@ -86,10 +104,23 @@ const appointmentSchema = new mongoose.Schema({
     },
     paymentStatus: {
       type: String,
-      enum: ['pending', 'paid', 'refunded'],
+      enum: ['pending', 'paid', 'partially-refunded', 'refunded'],
       default: 'pending'
     }
   },
+  cancellationPolicy: {
+    rule: {
+      type: String,
+      enum: ['free-cancellation', 'late-cancellation', 'provider-cancellation', 'no-show']
+    },
+    hoursBeforeAppointment: Number,
+    cutoffHours: Number,
+    fee: Number,
+    amountDue: Number,
+    refundAmount: Number,
+    paymentStatus: String,
+    appliedAt: Date
+  },
   followUpRequired: {
     type: Boolean,
     default: false
@@ -97,6 +128,35 @@ const appointmentSchema = new mongoose.Schema({
   followUpDate: {
     type: Date
   },
+  followUpAppointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  statusHistory: [{
+    from: {
+      type: String,
+      default: null
+    },
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: {
+      type: String
+    },
+    reason: {
+      type: String,
+      maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   cancelledBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -108,27 +168,67 @@ const appointmentSchema = new mongoose.Schema({
   rescheduledFrom: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Appointment'
-  }
+  },
+  // Blocked exceptions of the doctor that overlap this appointment
+  availabilityConflicts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AvailabilityException'
+  }]
 }, { 
   timestamps: true 
 });
 
-// Generate appointment ID before saving
-appointmentSchema.pre('save', async function(next) {
+// Generate appointment ID before validation, which requires it
+appointmentSchema.pre('validate', async function(next) {
   if (!this.appointmentId) {
-    const count = await mongoose.model('Appointment').countDocuments();
-    this.appointmentId = `APT${String(count + 1).padStart(6, '0')}`;
+    const seq = await Counter.next('appointmentId', async () => {
+      const last = await mongoose.model('Appointment')
+        .findOne({ appointmentId: /^APT\d+$/ })
+        .sort({ appointmentId: -1 })
+        .select('appointmentId')
+        .lean();
+      return last ? parseInt(last.appointmentId.slice(3), 10) : 0;
+    });
+    this.appointmentId = `APT${String(seq).padStart(6, '0')}`;
   }
-  
+
+  next();
+});
+
+appointmentSchema.pre('save', async function(next) {
   // Calculate total amount
   this.fees.totalAmount = this.fees.consultationFee + (this.fees.additionalCharges || 0);
   
   next();
 });
 
+// Encrypt clinical content at rest; scheduling fields stay queryable
+const encryptedPrescriptionFields = [
+  'medications.name',
+  'medications.dosage',
+  'medications.frequency',
+  'medications.duration',
+  'medications.instructions',
+  'notes',
+  'amendmentReason',
+  'allergyWarnings.medication',
+  'allergyWarnings.allergen',
+  'allergyWarnings.severity'
+];
+
+appointmentSchema.plugin(fieldEncryption, {
+  fields: [
+    'notes',
+    ...encryptedPrescriptionFields.map(field => `prescription.${field}`),
+    ...encryptedPrescriptionFields.map(field => `prescriptionRevisions.${field}`)
+  ]
+});
+
 // Index for efficient queries
 appointmentSchema.index({ patient: 1, appointmentDate: 1 });
 appointmentSchema.index({ doctor: 1, appointmentDate: 1 });
 appointmentSchema.index({ status: 1 });
+appointmentSchema.index({ rescheduledFrom: 1 });
+appointmentSchema.index({ followUpRequired: 1, followUpDate: 1 });
 
 export const Appointment = mongoose.model('Appointment', appointmentSchema);
\ No newline at end of file
@@ -0,0 +1,97 @@
+// models/AuditLog.js
+import mongoose from 'mongoose';
+
+/**
+ * Append-only record of access to protected health information
+ * Entries are chained: each hash covers the entry and the previous hash,
+ * so editing or removing an entry breaks every hash after it.
+ */
+const auditLogSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required']
+  },
+  resourceType: {
+    type: String,
+    required: [true, 'Resource type is required']
+  },
+  // Kept as a string so malformed IDs from rejected requests are still recorded
+  resourceId: {
+    type: String
+  },
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient'
+  },
+  // Why access was granted: owner, any, care-team, break-glass...
+  accessBasis: {
+    type: String
+  },
+  ip: String,
+  userAgent: String,
+  method: String,
+  path: String,
+  statusCode: Number,
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+auditLogSchema.index({ patient: 1, timestamp: -1 });
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+auditLogSchema.index({ action: 1, timestamp: -1 });
+
+// Reject every way Mongoose offers to change or remove entries
+const immutable = function(next) {
+  next(new Error('Audit log entries are immutable'));
+};
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(operation => {
+  auditLogSchema.pre(operation, { document: false, query: true }, immutable);
+});
+
+auditLogSchema.pre('deleteOne', { document: true, query: false }, immutable);
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return immutable(next);
+  }
+  next();
+});
+
+export const AuditLog = mongoose.model('AuditLog', auditLogSchema);
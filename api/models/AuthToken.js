@@ -0,0 +1,46 @@
+// models/AuthToken.js
+import mongoose from 'mongoose';
+
+/**
+ * Single-use tokens sent to users by email or issued during login
+ * Only a SHA-256 hash of the token is stored.
+ */
+const authTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  type: {
+    type: String,
+    enum: ['email-verification', 'password-reset', 'two-factor-challenge'],
+    required: [true, 'Token type is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required'],
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  // Failed verification attempts, for tokens checked against a user-supplied code
+  attempts: {
+    type: Number,
+    default: 0
+  }
+}, { 
+  timestamps: true 
+});
+
+authTokenSchema.index({ user: 1, type: 1 });
+
+// Expired tokens are removed by MongoDB
+authTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const AuthToken = mongoose.model('AuthToken', authTokenSchema);
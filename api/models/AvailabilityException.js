@@ -0,0 +1,56 @@
+// models/AvailabilityException.js
+import mongoose from 'mongoose';
+
+const availabilityExceptionSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: [true, 'Doctor reference is required']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: ['blocked', 'extra'],
+      message: 'Exception type must be blocked or extra'
+    },
+    required: [true, 'Exception type is required']
+  },
+  category: {
+    type: String,
+    enum: {
+      values: ['vacation', 'holiday', 'conference', 'sick-leave', 'extended-hours', 'other'],
+      message: 'Invalid exception category'
+    },
+    default: 'other'
+  },
+  start: {
+    type: Date,
+    required: [true, 'Start is required']
+  },
+  end: {
+    type: Date,
+    required: [true, 'End is required'],
+    validate: {
+      validator: function(value) {
+        return !this.start || value > this.start;
+      },
+      message: 'End must be after start'
+    }
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Reason cannot exceed 200 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { 
+  timestamps: true 
+});
+
+// Index for range lookups per doctor
+availabilityExceptionSchema.index({ doctor: 1, start: 1, end: 1 });
+
+export const AvailabilityException = mongoose.model('AvailabilityException', availabilityExceptionSchema);
@@ -0,0 +1,42 @@
+// models/Counter.js
+import mongoose from 'mongoose';
+
+/**
+ * Named sequences for human-readable IDs. Each value is handed out by a
+ * single atomic $inc, so concurrent callers never receive the same number.
+ */
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: [true, 'Counter name is required']
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+/**
+ * Next value of a sequence
+ * @param {string} name - Sequence name, e.g. 'appointmentId'
+ * @param {Function} seed - Async; highest value already in use, read once when the sequence is created
+ * @returns {number} Next value
+ */
+counterSchema.statics.next = async function(name, seed = async () => 0) {
+  const counter = await this.findOneAndUpdate({ _id: name }, { $inc: { seq: 1 } }, { new: true });
+  if (counter) return counter.seq;
+
+  // First use: continue after the records created before the sequence existed
+  const start = await seed();
+  const created = await this.findOneAndUpdate(
+    { _id: name },
+    [{ $set: { seq: { $add: [{ $ifNull: ['$seq', start] }, 1] } } }],
+    { new: true, upsert: true }
+  );
+
+  return created.seq;
+};
+
+export const Counter = mongoose.model('Counter', counterSchema);
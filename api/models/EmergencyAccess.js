@@ -0,0 +1,41 @@
+// models/EmergencyAccess.js
+import mongoose from 'mongoose';
+
+/**
+ * Time-limited break-glass access of a doctor to a patient's record
+ * Lets a doctor read a record outside the care team and the patient's consent.
+ */
+const emergencyAccessSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient reference is required']
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: [true, 'Doctor reference is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    required: [true, 'Reason is required'],
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+}, { 
+  timestamps: true 
+});
+
+emergencyAccessSchema.index({ doctor: 1, patient: 1, expiresAt: 1 });
+emergencyAccessSchema.index({ patient: 1, createdAt: -1 });
+
+export const EmergencyAccess = mongoose.model('EmergencyAccess', emergencyAccessSchema);
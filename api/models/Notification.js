@@ -0,0 +1,45 @@
+// models/Notification.js
+import mongoose from 'mongoose';
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  recipientRole: {
+    type: String,
+    enum: ['patient', 'doctor', 'admin']
+  },
+  type: {
+    type: String,
+    required: [true, 'Notification type is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  message: {
+    type: String,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, { 
+  timestamps: true 
+});
+
+// Index for inbox queries
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+
+export const Notification = mongoose.model('Notification', notificationSchema);
@@ -1,5 +1,27 @@
 // models/Patient.js
 import mongoose from 'mongoose';
+import { fieldEncryption } from '../../utils/fieldEncryption.js';
+
+/**
+ * Who besides the patient may see one category of their record
+ */
+const consentCategorySchema = new mongoose.Schema({
+  // Doctors currently treating the patient (appointments and referrals)
+  treatingDoctors: {
+    type: Boolean,
+    default: true
+  },
+  // Doctors named by the patient, whether or not they treat them
+  doctors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor'
+  }],
+  // Doctors using emergency (break-glass) access
+  emergency: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
 
 const patientSchema = new mongoose.Schema({
   user: {
@@ -73,6 +95,29 @@ const patientSchema = new mongoose.Schema({
   bloodGroup: {
     type: String,
     enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']
+  },
+  consent: {
+    medicalHistory: { type: consentCategorySchema, default: () => ({}) },
+    allergies: { type: consentCategorySchema, default: () => ({}) },
+    prescriptions: { type: consentCategorySchema, default: () => ({}) },
+    appointmentNotes: { type: consentCategorySchema, default: () => ({}) },
+    updatedAt: Date
+  },
+  // Soft deletion and erasure, see PatientRetentionService
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  erasedAt: {
+    type: Date
+  },
+  // Clinical data of an erased patient is purged after this date
+  retainUntil: {
+    type: Date
   }
 }, { 
   timestamps: true 
@@ -96,13 +141,38 @@ patientSchema.virtual('age').get(function() {
 // Include virtual fields in JSON output
 patientSchema.set('toJSON', { virtuals: true });
 
+// Encrypt sensitive fields at rest
+patientSchema.plugin(fieldEncryption, {
+  fields: [
+    'medicalHistory.notes',
+    'allergies.allergen',
+    'allergies.severity',
+    'allergies.notes',
+    'bloodGroup',
+    'emergencyContact.name',
+    'emergencyContact.relationship',
+    'emergencyContact.phoneNumber'
+  ]
+});
+
+// Hide deleted patients unless the query opts in with { withDeleted: true }
+patientSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments'], function(next) {
+  if (!this.getOptions().withDeleted && this.getFilter().deletedAt === undefined) {
+    this.where({ deletedAt: null });
+  }
+  next();
+});
+
 // Generate patient ID before saving
 patientSchema.pre('save', async function(next) {
   if (!this.patientId) {
-    const count = await mongoose.model('Patient').countDocuments();
+    const count = await mongoose.model('Patient').countDocuments().setOptions({ withDeleted: true });
     this.patientId = `PAT${String(count + 1).padStart(6, '0')}`;
   }
   next();
 });
 
+patientSchema.index({ deletedAt: 1, erasedAt: 1 });
+patientSchema.index({ retainUntil: 1 });
+
 export const Patient = mongoose.model('Patient', patientSchema);
@@ -0,0 +1,52 @@
+// models/Referral.js
+import mongoose from 'mongoose';
+
+/**
+ * Explicit referral giving a doctor access to a patient's record
+ * Complements the care relationship derived from appointments.
+ */
+const referralSchema = new mongoose.Schema({
+  patient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Patient',
+    required: [true, 'Patient reference is required']
+  },
+  fromDoctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor'
+  },
+  toDoctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: [true, 'Referred doctor is required']
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Creator is required']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { 
+  timestamps: true 
+});
+
+referralSchema.index({ toDoctor: 1, patient: 1, revokedAt: 1, expiresAt: 1 });
+referralSchema.index({ patient: 1, createdAt: -1 });
+
+export const Referral = mongoose.model('Referral', referralSchema);
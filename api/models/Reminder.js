@@ -0,0 +1,42 @@
+// models/Reminder.js
+import mongoose from 'mongoose';
+
+/**
+ * Delivery record of an appointment reminder
+ * The unique index keeps one record per (appointment, offset, channel); a send is claimed
+ * by moving the record to pending, so a reminder goes out once even across restarts or
+ * several server processes, and failed sends can be retried.
+ */
+const reminderSchema = new mongoose.Schema({
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: [true, 'Appointment reference is required']
+  },
+  offsetMinutes: {
+    type: Number,
+    required: [true, 'Offset is required']
+  },
+  channel: {
+    type: String,
+    required: [true, 'Channel is required']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  claimedAt: Date,
+  sentAt: Date,
+  error: String
+}, { 
+  timestamps: true 
+});
+
+reminderSchema.index({ appointment: 1, offsetMinutes: 1, channel: 1 }, { unique: true });
+
+export const Reminder = mongoose.model('Reminder', reminderSchema);
@@ -0,0 +1,38 @@
+// models/Role.js
+import mongoose from 'mongoose';
+
+/**
+ * Custom role defined by admins, e.g. receptionist or nurse
+ * Built-in roles (patient, doctor, admin) live in utils/permissions.js.
+ */
+const roleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Role name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Role name may only contain lowercase letters, digits and dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  permissions: {
+    type: [String],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { 
+  timestamps: true 
+});
+
+export const Role = mongoose.model('Role', roleSchema);
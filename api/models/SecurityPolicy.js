@@ -0,0 +1,27 @@
+// models/SecurityPolicy.js
+import mongoose from 'mongoose';
+
+/**
+ * Security settings managed by admins at runtime
+ * A single document keyed 'default' holds the active policy.
+ */
+const securityPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  // Roles whose members must have two-factor authentication enabled
+  twoFactorRequiredRoles: {
+    type: [String],
+    default: []
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { 
+  timestamps: true 
+});
+
+export const SecurityPolicy = mongoose.model('SecurityPolicy', securityPolicySchema);
@@ -0,0 +1,55 @@
+// models/Session.js
+import mongoose from 'mongoose';
+
+/**
+ * A login session and its refresh token family
+ * Only the hash of the latest refresh token is kept; presenting any older token
+ * of the family is treated as token theft and revokes the session.
+ */
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User reference is required']
+  },
+  tokenHash: {
+    type: String,
+    required: [true, 'Token hash is required']
+  },
+  userAgent: {
+    type: String,
+    maxlength: 500
+  },
+  ip: {
+    type: String
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  rotationCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user-revoked', 'password-changed', 'password-reset', 'token-reuse', 'admin', 'account-deleted']
+  }
+}, { 
+  timestamps: true 
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+
+// Sessions are purged once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model('Session', sessionSchema);
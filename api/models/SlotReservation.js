@@ -0,0 +1,41 @@
+// models/SlotReservation.js
+import mongoose from 'mongoose';
+
+/**
+ * One document per fixed-size block of a doctor's time held by an
+ * appointment. The unique index on (doctor, blockStart) is what makes
+ * concurrent bookings of overlapping times mutually exclusive.
+ */
+const slotReservationSchema = new mongoose.Schema({
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    required: [true, 'Doctor reference is required']
+  },
+  blockStart: {
+    type: Date,
+    required: [true, 'Block start is required']
+  },
+  appointment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: [true, 'Appointment reference is required']
+  },
+  // Appointment the block was taken over from when rescheduling onto overlapping time
+  transferredFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  expireAt: {
+    type: Date,
+    required: [true, 'Expiry is required']
+  }
+});
+
+slotReservationSchema.index({ doctor: 1, blockStart: 1 }, { unique: true });
+slotReservationSchema.index({ appointment: 1 });
+
+// Reservations for past blocks are no longer needed
+slotReservationSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+export const SlotReservation = mongoose.model('SlotReservation', slotReservationSchema);
@@ -23,21 +23,69 @@ const userSchema = new mongoose.Schema({
     required: [true, 'Password is required'],
     minlength: [6, 'Password must be at least 6 characters long']
   },
+  // Built-in role (patient, doctor, admin) or a custom role, see PermissionService
   role: {
     type: String,
-    enum: {
-      values: ['patient', 'doctor', 'admin'],
-      message: 'Role must be either patient, doctor, or admin'
-    },
-    required: [true, 'Role is required']
+    required: [true, 'Role is required'],
+    trim: true,
+    lowercase: true
   },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Unset for accounts created before email verification existed
+  isEmailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Base32 TOTP secret, set once enrolment is confirmed
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret awaiting confirmation with a first code
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Last accepted time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    recoveryCodes: {
+      type: [{
+        hash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
   lastLogin: {
     type: Date
   },
+  // Consecutive failed logins since the last successful one
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lastFailedLoginAt: {
+    type: Date
+  },
+  lockUntil: {
+    type: Date
+  },
   profileImage: {
     type: String
   }
@@ -46,6 +94,12 @@ const userSchema = new mongoose.Schema({
   toJSON: {
     transform: function(doc, ret) {
       delete ret.password;
+      if (ret.twoFactor) {
+        delete ret.twoFactor.secret;
+        delete ret.twoFactor.pendingSecret;
+        delete ret.twoFactor.lastUsedStep;
+        delete ret.twoFactor.recoveryCodes;
+      }
       return ret;
     }
   }
@@ -68,6 +122,11 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Whether the account is temporarily locked after failed logins
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
 // Update last login
 userSchema.methods.updateLastLogin = async function() {
   this.lastLogin = new Date();
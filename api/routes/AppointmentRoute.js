@@ -1,55 +1,164 @@
 // routes/AppointmentRoute.js
 import { Router } from 'express';
 import { AppointmentController } from '../controllers/AppointmentController.js';
-import { authenticate } from '../../middleware/auth.js';
+import { PrescriptionController } from '../controllers/PrescriptionController.js';
+import { FollowUpController } from '../controllers/FollowUpController.js';
+import { NotificationController } from '../controllers/NotificationController.js';
+import { authenticate, requirePermission, loadProfile } from '../../middleware/auth.js';
+import { auditAppointment } from '../../middleware/audit.js';
+import { 
+  appointmentValidation, 
+  prescriptionValidation, 
+  commonValidation, 
+  handleValidationErrors 
+} from '../../utils/validation.js';
 
 const router = Router();
 
+// Verify an exported visit summary (public, for pharmacies)
+router.get(
+  '/verify',
+  prescriptionValidation.verify,
+  handleValidationErrors,
+  PrescriptionController.verifyVisitSummary
+);
+
 // Apply authentication middleware to all routes
-router.use(authenticate);
+router.use(authenticate, loadProfile);
 
 // Create new appointment (patients only)
 router.post(
   '/book',
-  // Add role check middleware here if needed
+  auditAppointment('appointment.create'),
+  requirePermission('appointments:book'),
+  appointmentValidation.create,
+  handleValidationErrors,
   AppointmentController.createAppointment
 );
 
 // Get appointments for current user (patient or doctor)
 router.get(
   '/my-appointments',
-  (req, res, next) => {
-    if (req.user.role === 'patient') {
-      return AppointmentController.getPatientAppointments(req, res, next);
-    } else if (req.user.role === 'doctor') {
-      return AppointmentController.getDoctorAppointments(req, res, next);
-    } else {
-      return res.status(403).json({ error: 'Invalid role for this endpoint' });
-    }
-  }
+  auditAppointment('appointment.list'),
+  requirePermission('appointments:read'),
+  AppointmentController.getMyAppointments
+);
+
+// Get prescriptions across all appointments (patients only)
+router.get(
+  '/my-prescriptions',
+  auditAppointment('prescription.list'),
+  requirePermission('prescriptions:read'),
+  commonValidation.pagination,
+  handleValidationErrors,
+  PrescriptionController.getMyPrescriptions
+);
+
+// Follow-ups the patient still has to book
+router.get(
+  '/follow-ups/pending',
+  auditAppointment('follow-up.list'),
+  requirePermission('follow-ups:read'),
+  FollowUpController.getPendingFollowUps
+);
+
+// Follow-ups past due that were never booked (doctors only)
+router.get(
+  '/follow-ups/overdue',
+  auditAppointment('follow-up.list-overdue'),
+  requirePermission('follow-ups:read-overdue'),
+  commonValidation.pagination,
+  handleValidationErrors,
+  FollowUpController.getOverdueFollowUps
 );
 
-// Get doctor notifications (doctors only)
+// No-show counts per doctor or patient (admins only)
+router.get(
+  '/reports/no-shows',
+  auditAppointment('appointment.report.no-shows'),
+  requirePermission('appointments:view-reports'),
+  appointmentValidation.noShowReport,
+  handleValidationErrors,
+  AppointmentController.getNoShowReport
+);
+
+// Notifications of the current user (kept for existing clients, see /api/notifications)
 router.get(
   '/notifications',
-  (req, res, next) => {
-    if (req.user.role !== 'doctor') {
-      return res.status(403).json({ error: 'Only doctors can access notifications' });
-    }
-    return AppointmentController.getDoctorNotifications(req, res, next);
-  }
+  NotificationController.getNotifications
 );
 
 // Get specific appointment by ID
 router.get(
   '/:appointmentId',
+  auditAppointment('appointment.read'),
+  requirePermission('appointments:read', 'appointments:read-any'),
   AppointmentController.getAppointmentById
 );
 
 // Update appointment status
 router.patch(
   '/:appointmentId/status',
+  auditAppointment('appointment.status.update'),
+  requirePermission('appointments:update-status', 'appointments:update-status-any'),
+  appointmentValidation.updateStatus,
+  handleValidationErrors,
   AppointmentController.updateAppointmentStatus
 );
 
-export default router;
\ No newline at end of file
+// Reschedule appointment to a new time
+router.post(
+  '/:appointmentId/reschedule',
+  auditAppointment('appointment.reschedule'),
+  requirePermission('appointments:reschedule', 'appointments:reschedule-any'),
+  appointmentValidation.reschedule,
+  handleValidationErrors,
+  AppointmentController.rescheduleAppointment
+);
+
+// Prescription routes
+router.get(
+  '/:appointmentId/prescription',
+  auditAppointment('prescription.read'),
+  requirePermission('prescriptions:read', 'prescriptions:read-any'),
+  PrescriptionController.getPrescription
+);
+
+router.post(
+  '/:appointmentId/prescription',
+  auditAppointment('prescription.create'),
+  requirePermission('prescriptions:write'),
+  prescriptionValidation.write,
+  handleValidationErrors,
+  PrescriptionController.createPrescription
+);
+
+router.put(
+  '/:appointmentId/prescription',
+  auditAppointment('prescription.amend'),
+  requirePermission('prescriptions:write'),
+  prescriptionValidation.write,
+  prescriptionValidation.amend,
+  handleValidationErrors,
+  PrescriptionController.amendPrescription
+);
+
+// Printable prescription and visit summary
+router.get(
+  '/:appointmentId/summary.pdf',
+  auditAppointment('visit-summary.export'),
+  requirePermission('prescriptions:read', 'prescriptions:read-any'),
+  PrescriptionController.exportVisitSummary
+);
+
+// Book the follow-up of a completed appointment
+router.post(
+  '/:appointmentId/follow-up',
+  auditAppointment('follow-up.create'),
+  requirePermission('follow-ups:book', 'follow-ups:book-any'),
+  appointmentValidation.bookFollowUp,
+  handleValidationErrors,
+  FollowUpController.bookFollowUp
+);
+
+export default router;
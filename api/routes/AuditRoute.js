@@ -0,0 +1,28 @@
+// routes/AuditRoute.js
+import express from 'express';
+import { AuditController } from '../controllers/AuditController.js';
+import { 
+  auditValidation, 
+  commonValidation, 
+  handleValidationErrors 
+} from '../../utils/validation.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(authenticate, requirePermission('audit:read'));
+
+router.get(
+  '/', 
+  auditValidation.query, 
+  commonValidation.pagination, 
+  handleValidationErrors, 
+  AuditController.getAuditLogs
+);
+
+router.get(
+  '/verify', 
+  AuditController.verifyChain
+);
+
+export default router;
@@ -1,20 +1,47 @@
 // routes/AuthRoute.js
 import express from 'express';
 import { AuthController } from '../controllers/AuthController.js';
-import { userValidation, handleValidationErrors } from '../../utils/validation.js';
-import { authenticate, refreshTokenAuth } from '../../middleware/auth.js';
+import { TwoFactorController } from '../controllers/TwoFactorController.js';
+import { userValidation, twoFactorValidation, handleValidationErrors } from '../../utils/validation.js';
+import { authenticate, requirePermission, allowPendingTwoFactor, refreshTokenAuth } from '../../middleware/auth.js';
+import { authLimiter } from '../../middleware/rateLimit.js';
 
 const router = express.Router();
 
 // Public routes
-router.post('/register', userValidation.register, handleValidationErrors, AuthController.register);
-router.post('/login', userValidation.login, handleValidationErrors, AuthController.login);
+router.post('/register', authLimiter, userValidation.register, handleValidationErrors, AuthController.register);
+router.post('/login', authLimiter, userValidation.login, handleValidationErrors, AuthController.login);
+router.post('/2fa/verify', authLimiter, twoFactorValidation.verifyLogin, handleValidationErrors, AuthController.verifyTwoFactor);
 router.post('/refresh-token', refreshTokenAuth, AuthController.refreshToken);
 router.post('/logout', AuthController.logout);
+router.post('/verify-email', userValidation.token, handleValidationErrors, AuthController.verifyEmail);
+router.post('/resend-verification', authLimiter, userValidation.email, handleValidationErrors, AuthController.resendVerification);
+router.post('/forgot-password', authLimiter, userValidation.email, handleValidationErrors, AuthController.forgotPassword);
+router.post('/reset-password', authLimiter, userValidation.resetPassword, handleValidationErrors, AuthController.resetPassword);
 
 // Protected routes
 router.get('/profile', authenticate, AuthController.getProfile);
 router.put('/profile', authenticate, userValidation.updateProfile, handleValidationErrors, AuthController.updateProfile);
-router.put('/change-password', authenticate, AuthController.changePassword);
+router.put('/change-password', authLimiter, authenticate, AuthController.changePassword);
+
+// Session management
+router.get('/sessions', authenticate, AuthController.getSessions);
+router.delete('/sessions', authenticate, AuthController.revokeAllSessions);
+router.delete('/sessions/:sessionId', authenticate, userValidation.sessionId, handleValidationErrors, AuthController.revokeSession);
+
+// Two-factor authentication (enrolment stays reachable while the policy blocks other routes)
+router.get('/2fa', allowPendingTwoFactor, authenticate, TwoFactorController.getStatus);
+router.post('/2fa/setup', allowPendingTwoFactor, authenticate, TwoFactorController.setup);
+router.post('/2fa/enable', allowPendingTwoFactor, authenticate, twoFactorValidation.code, handleValidationErrors, TwoFactorController.enable);
+router.post('/2fa/disable', authenticate, twoFactorValidation.disable, handleValidationErrors, TwoFactorController.disable);
+router.post('/2fa/recovery-codes', authenticate, twoFactorValidation.code, handleValidationErrors, TwoFactorController.regenerateRecoveryCodes);
+
+// Admin security policy
+router.get('/2fa/policy', authenticate, requirePermission('security:manage'), TwoFactorController.getPolicy);
+router.put('/2fa/policy', authenticate, requirePermission('security:manage'), twoFactorValidation.policy, handleValidationErrors, TwoFactorController.updatePolicy);
+
+// Admin account lockout management
+router.get('/accounts/locked', authenticate, requirePermission('security:manage'), AuthController.getLockedAccounts);
+router.post('/accounts/:userId/unlock', authenticate, requirePermission('security:manage'), userValidation.userId, handleValidationErrors, AuthController.unlockAccount);
 
 export default router;
\ No newline at end of file
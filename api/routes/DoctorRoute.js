@@ -0,0 +1,132 @@
+// routes/DoctorRoute.js
+import express from 'express';
+import { DoctorController } from '../controllers/DoctorController.js';
+import { 
+  doctorValidation, 
+  commonValidation, 
+  handleValidationErrors 
+} from '../../utils/validation.js';
+import { 
+  authenticate, 
+  requirePermission, 
+  loadResourceAndCheckOwnership 
+} from '../../middleware/auth.js';
+import { auditDoctor } from '../../middleware/audit.js';
+import { Doctor } from '../models/Doctor.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Doctor directory
+router.get(
+  '/', 
+  auditDoctor('doctor.list'),
+  commonValidation.pagination, 
+  handleValidationErrors, 
+  DoctorController.getAllDoctors
+);
+
+// Doctor profile routes
+router.post(
+  '/', 
+  auditDoctor('doctor.create'),
+  requirePermission('doctors:create', 'doctors:create-any'), 
+  doctorValidation.create, 
+  handleValidationErrors, 
+  DoctorController.createDoctor
+);
+
+router.get(
+  '/:id', 
+  auditDoctor('doctor.read'),
+  commonValidation.mongoId, 
+  handleValidationErrors,
+  DoctorController.getDoctorById
+);
+
+router.put(
+  '/:id', 
+  auditDoctor('doctor.update'),
+  requirePermission('doctors:update', 'doctors:update-any'),
+  commonValidation.mongoId,
+  doctorValidation.update,
+  handleValidationErrors,
+  loadResourceAndCheckOwnership(Doctor, 'user', 'doctors:update-any'),
+  DoctorController.updateDoctor
+);
+
+// Doctor appointments
+router.get(
+  '/:id/appointments',
+  auditDoctor('doctor.appointments.read'),
+  requirePermission('doctors:read-appointments', 'doctors:read-appointments-any'),
+  commonValidation.mongoId,
+  commonValidation.pagination,
+  handleValidationErrors,
+  loadResourceAndCheckOwnership(Doctor, 'user', 'doctors:read-appointments-any'),
+  DoctorController.getDoctorAppointments
+);
+
+// Availability routes
+router.get(
+  '/:id/availability',
+  auditDoctor('doctor.availability.read'),
+  commonValidation.mongoId,
+  handleValidationErrors,
+  DoctorController.getAvailability
+);
+
+router.get(
+  '/:id/slots',
+  auditDoctor('doctor.slots.read'),
+  commonValidation.mongoId,
+  doctorValidation.slots,
+  handleValidationErrors,
+  DoctorController.getAvailableSlots
+);
+
+router.put(
+  '/:id/availability',
+  auditDoctor('doctor.availability.update'),
+  requirePermission('doctors:manage-schedule', 'doctors:manage-schedule-any'),
+  commonValidation.mongoId,
+  doctorValidation.availability,
+  handleValidationErrors,
+  loadResourceAndCheckOwnership(Doctor, 'user', 'doctors:manage-schedule-any'),
+  DoctorController.updateAvailability
+);
+
+// Date exceptions (time off, holidays, extra hours)
+router.get(
+  '/:id/exceptions',
+  auditDoctor('doctor.exceptions.read'),
+  commonValidation.mongoId,
+  handleValidationErrors,
+  DoctorController.getExceptions
+);
+
+router.post(
+  '/:id/exceptions',
+  auditDoctor('doctor.exception.create'),
+  requirePermission('doctors:manage-schedule', 'doctors:manage-schedule-any'),
+  commonValidation.mongoId,
+  doctorValidation.exception,
+  handleValidationErrors,
+  loadResourceAndCheckOwnership(Doctor, 'user', 'doctors:manage-schedule-any'),
+  DoctorController.addException
+);
+
+router.delete(
+  '/:id/exceptions/:exceptionId',
+  auditDoctor('doctor.exception.delete'),
+  requirePermission('doctors:manage-schedule', 'doctors:manage-schedule-any'),
+  commonValidation.mongoId,
+  doctorValidation.exceptionId,
+  handleValidationErrors,
+  loadResourceAndCheckOwnership(Doctor, 'user', 'doctors:manage-schedule-any'),
+  DoctorController.removeException
+);
+
+export default router;
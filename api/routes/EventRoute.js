@@ -0,0 +1,16 @@
+// routes/EventRoute.js
+import express from 'express';
+import { EventController } from '../controllers/EventController.js';
+import { authenticate, allowQueryToken } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// Real-time appointment updates (EventSource cannot send headers, so ?access_token= is accepted)
+router.get(
+  '/stream',
+  allowQueryToken,
+  authenticate,
+  EventController.stream
+);
+
+export default router;
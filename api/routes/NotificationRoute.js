@@ -0,0 +1,34 @@
+// routes/NotificationRoute.js
+import express from 'express';
+import { NotificationController } from '../controllers/NotificationController.js';
+import { 
+  commonValidation, 
+  handleValidationErrors 
+} from '../../utils/validation.js';
+import { authenticate } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+router.get(
+  '/', 
+  commonValidation.pagination, 
+  handleValidationErrors, 
+  NotificationController.getNotifications
+);
+
+router.patch(
+  '/read-all', 
+  NotificationController.markAllAsRead
+);
+
+router.patch(
+  '/:id/read', 
+  commonValidation.mongoId, 
+  handleValidationErrors, 
+  NotificationController.markAsRead
+);
+
+export default router;
@@ -1,6 +1,7 @@
 // routes/PatientRoute.js
 import express from 'express';
 import { PatientController } from '../controllers/PatientController.js';
+import { AuditController } from '../controllers/AuditController.js';
 import { 
   patientValidation, 
   commonValidation, 
@@ -8,20 +9,22 @@ import {
 } from '../../utils/validation.js';
 import { 
   authenticate, 
-  authorize, 
-  loadResourceAndCheckOwnership 
+  requirePermission, 
+  loadProfile, 
+  loadPatientAndCheckAccess 
 } from '../../middleware/auth.js';
-import { Patient } from '../models/Patient.js';
+import { auditPatient } from '../../middleware/audit.js';
 
 const router = express.Router();
 
-// Apply authentication to all routes
-router.use(authenticate);
+// Apply authentication to all routes (doctor profile is needed for care-team checks)
+router.use(authenticate, loadProfile);
 
-// Admin/Doctor only routes
+// Patient directory
 router.get(
   '/', 
-  authorize('admin', 'doctor'), 
+  auditPatient('patient.list'),
+  requirePermission('patients:list', 'patients:list-any'), 
   commonValidation.pagination, 
   handleValidationErrors, 
   PatientController.getAllPatients
@@ -30,7 +33,8 @@ router.get(
 // Patient profile routes
 router.post(
   '/', 
-  authorize('patient'), 
+  auditPatient('patient.create'),
+  requirePermission('patients:create'), 
   patientValidation.create, 
   handleValidationErrors, 
   PatientController.createPatient
@@ -38,62 +42,185 @@ router.post(
 
 router.get(
   '/:id', 
+  auditPatient('patient.read'),
+  requirePermission('patients:read', 'patients:read-any', 'patients:read-care-team'),
   commonValidation.mongoId, 
   handleValidationErrors,
-  loadResourceAndCheckOwnership(Patient),
+  loadPatientAndCheckAccess('patients:read'),
   PatientController.getPatientById
 );
 
 router.put(
   '/:id', 
+  auditPatient('patient.update'),
+  requirePermission('patients:update', 'patients:update-any'),
   commonValidation.mongoId,
   patientValidation.update,
   handleValidationErrors,
-  loadResourceAndCheckOwnership(Patient),
+  loadPatientAndCheckAccess('patients:update'),
   PatientController.updatePatient
 );
 
 router.delete(
   '/:id', 
+  auditPatient('patient.delete'),
+  requirePermission('patients:delete', 'patients:delete-any'),
   commonValidation.mongoId,
   handleValidationErrors,
-  loadResourceAndCheckOwnership(Patient),
+  loadPatientAndCheckAccess('patients:delete'),
   PatientController.deletePatient
 );
 
+router.post(
+  '/:id/restore',
+  auditPatient('patient.restore'),
+  requirePermission('patients:restore', 'patients:restore-any'),
+  commonValidation.mongoId,
+  handleValidationErrors,
+  loadPatientAndCheckAccess('patients:restore', { withDeleted: true }),
+  PatientController.restorePatient
+);
+
+// Data export and erasure
+router.get(
+  '/:id/export',
+  auditPatient('patient.export'),
+  requirePermission('patients:export', 'patients:export-any'),
+  commonValidation.mongoId,
+  handleValidationErrors,
+  loadPatientAndCheckAccess('patients:export'),
+  PatientController.exportPatientData
+);
+
+router.post(
+  '/:id/erasure',
+  auditPatient('patient.erase'),
+  requirePermission('patients:erase', 'patients:erase-any'),
+  commonValidation.mongoId,
+  patientValidation.erasure,
+  handleValidationErrors,
+  loadPatientAndCheckAccess('patients:erase', { withDeleted: true }),
+  PatientController.erasePatient
+);
+
 // Patient appointments
 router.get(
   '/:id/appointments',
+  auditPatient('patient.appointments.read'),
+  requirePermission('patients:read', 'patients:read-any', 'patients:read-care-team'),
   commonValidation.mongoId,
   commonValidation.pagination,
   handleValidationErrors,
-  loadResourceAndCheckOwnership(Patient),
+  loadPatientAndCheckAccess('patients:read'),
   PatientController.getPatientAppointments
 );
 
 // Medical history routes
 router.get(
   '/:id/medical-history',
+  auditPatient('medical-history.read'),
+  requirePermission('patients:read-medical-history', 'patients:read-medical-history-any', 'patients:read-medical-history-care-team'),
   commonValidation.mongoId,
   handleValidationErrors,
-  loadResourceAndCheckOwnership(Patient),
+  loadPatientAndCheckAccess('patients:read-medical-history'),
   PatientController.getMedicalHistory
 );
 
 router.post(
   '/:id/medical-history',
+  auditPatient('medical-history.create'),
+  requirePermission('patients:update-medical-history', 'patients:update-medical-history-any'),
   commonValidation.mongoId,
   handleValidationErrors,
-  loadResourceAndCheckOwnership(Patient),
+  loadPatientAndCheckAccess('patients:update-medical-history'),
   PatientController.addMedicalHistory
 );
 
 router.post(
   '/:id/allergies',
+  auditPatient('allergy.create'),
+  requirePermission('patients:update-medical-history', 'patients:update-medical-history-any'),
   commonValidation.mongoId,
   handleValidationErrors,
-  loadResourceAndCheckOwnership(Patient),
+  loadPatientAndCheckAccess('patients:update-medical-history'),
   PatientController.addAllergy
 );
 
+// Sharing preferences
+router.get(
+  '/:id/consent',
+  auditPatient('consent.read'),
+  requirePermission('patients:manage-consent', 'patients:manage-consent-any'),
+  commonValidation.mongoId,
+  handleValidationErrors,
+  loadPatientAndCheckAccess('patients:manage-consent'),
+  PatientController.getConsent
+);
+
+router.put(
+  '/:id/consent',
+  auditPatient('consent.update'),
+  requirePermission('patients:manage-consent', 'patients:manage-consent-any'),
+  commonValidation.mongoId,
+  patientValidation.consent,
+  handleValidationErrors,
+  loadPatientAndCheckAccess('patients:manage-consent'),
+  PatientController.updateConsent
+);
+
+// Break-glass emergency access, overriding consent and care team
+router.post(
+  '/:id/emergency-access',
+  auditPatient('patient.break-glass'),
+  requirePermission('patients:break-glass'),
+  commonValidation.mongoId,
+  patientValidation.emergencyAccess,
+  handleValidationErrors,
+  PatientController.grantEmergencyAccess
+);
+
+// Referrals to other doctors
+router.get(
+  '/:id/referrals',
+  auditPatient('referral.list'),
+  requirePermission('patients:read', 'patients:read-any', 'patients:read-care-team'),
+  commonValidation.mongoId,
+  handleValidationErrors,
+  loadPatientAndCheckAccess('patients:read'),
+  PatientController.getReferrals
+);
+
+router.post(
+  '/:id/referrals',
+  auditPatient('referral.create'),
+  requirePermission('patients:refer', 'patients:refer-any'),
+  commonValidation.mongoId,
+  patientValidation.referral,
+  handleValidationErrors,
+  loadPatientAndCheckAccess('patients:read'),
+  PatientController.referPatient
+);
+
+router.delete(
+  '/:id/referrals/:referralId',
+  auditPatient('referral.revoke'),
+  commonValidation.mongoId,
+  patientValidation.referralId,
+  handleValidationErrors,
+  loadPatientAndCheckAccess('patients:read'),
+  PatientController.revokeReferral
+);
+
+// Who accessed the record
+router.get(
+  '/:id/access-log',
+  auditPatient('access-log.read'),
+  requirePermission('patients:read-access-log', 'patients:read-access-log-any'),
+  commonValidation.mongoId,
+  commonValidation.pagination,
+  handleValidationErrors,
+  loadPatientAndCheckAccess('patients:read-access-log'),
+  AuditController.getPatientAccessLog
+);
+
 export default router;
@@ -0,0 +1,54 @@
+// routes/RoleRoute.js
+import express from 'express';
+import { RoleController } from '../controllers/RoleController.js';
+import { 
+  roleValidation, 
+  handleValidationErrors 
+} from '../../utils/validation.js';
+import { authenticate, requirePermission } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// Role management is restricted to holders of roles:manage
+router.use(authenticate, requirePermission('roles:manage'));
+
+router.get(
+  '/permissions', 
+  RoleController.getPermissions
+);
+
+router.get(
+  '/', 
+  RoleController.getRoles
+);
+
+router.post(
+  '/', 
+  roleValidation.create, 
+  handleValidationErrors, 
+  RoleController.createRole
+);
+
+router.put(
+  '/:name', 
+  roleValidation.update, 
+  handleValidationErrors, 
+  RoleController.updateRole
+);
+
+router.delete(
+  '/:name', 
+  roleValidation.name, 
+  handleValidationErrors, 
+  RoleController.deleteRole
+);
+
+// Assign a role to a user
+router.put(
+  '/users/:userId', 
+  roleValidation.assign, 
+  handleValidationErrors, 
+  RoleController.assignRole
+);
+
+export default router;
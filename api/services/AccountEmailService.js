@@ -0,0 +1,65 @@
+// services/AccountEmailService.js
+import { AuthTokenService } from './AuthTokenService.js';
+import { Mailer } from '../../utils/mailer.js';
+
+const clientUrl = () => process.env.CLIENT_URL || 'http://localhost:3000';
+
+export class AccountEmailService {
+  /**
+   * Send an email verification link
+   */
+  static async sendVerification(user) {
+    const token = await AuthTokenService.issue(user._id, 'email-verification');
+    const link = `${clientUrl()}/verify-email?token=${token}`;
+
+    await Mailer.send({
+      to: user.email,
+      subject: 'Verify your DaktariHub email address',
+      text: `Hello ${user.name},\n\nPlease confirm your email address by opening the link below. `
+        + `It expires in 24 hours.\n\n${link}\n\nIf you did not create an account, ignore this email.`
+    });
+  }
+
+  /**
+   * Send a password reset link
+   */
+  static async sendPasswordReset(user) {
+    const token = await AuthTokenService.issue(user._id, 'password-reset');
+    const link = `${clientUrl()}/reset-password?token=${token}`;
+
+    await Mailer.send({
+      to: user.email,
+      subject: 'Reset your DaktariHub password',
+      text: `Hello ${user.name},\n\nA password reset was requested for your account. `
+        + `Open the link below within 1 hour to choose a new password.\n\n${link}\n\n`
+        + 'If you did not request this, you can ignore this email.'
+    });
+  }
+
+  /**
+   * Tell the owner their account was locked after failed logins
+   */
+  static async sendLockoutNotice(user, lockUntil) {
+    await Mailer.send({
+      to: user.email,
+      subject: 'Your DaktariHub account has been temporarily locked',
+      text: `Hello ${user.name},\n\nThere were several failed attempts to log in to your account, `
+        + `so it is locked until ${lockUntil.toUTCString()}.\n\n`
+        + 'If this was not you, reset your password once the lock expires or contact support.'
+    });
+  }
+
+  /**
+   * Tell a patient a doctor opened their record with emergency access
+   */
+  static async sendEmergencyAccessNotice(user, doctor, access) {
+    await Mailer.send({
+      to: user.email,
+      subject: 'Your DaktariHub record was opened with emergency access',
+      text: `Hello ${user.name},\n\nDr. ${doctor.name} used emergency access to open your medical record. `
+        + `The access lasts until ${access.expiresAt.toUTCString()}.\n\nReason given: ${access.reason}\n\n`
+        + 'Every use is logged; you can review it in the access log of your record. '
+        + 'If you believe this access was not justified, contact support.'
+    });
+  }
+}
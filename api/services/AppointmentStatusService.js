@@ -0,0 +1,145 @@
+// services/AppointmentStatusService.js
+import { SlotReservationService } from './SlotReservationService.js';
+import { CancellationPolicyService } from './CancellationPolicyService.js';
+import { PermissionService } from './PermissionService.js';
+import { eventBus, EVENTS } from '../../utils/events.js';
+import { 
+  AppError, 
+  InvalidTransitionError 
+} from '../../utils/errorHandler.js';
+
+/**
+ * Allowed status transitions and the permission each one requires.
+ * Background jobs act as the `system` role (see utils/permissions.js).
+ */
+export const STATUS_TRANSITIONS = {
+  scheduled: {
+    confirmed: 'appointments:confirm',
+    cancelled: 'appointments:cancel',
+    'no-show': 'appointments:mark-no-show'
+  },
+  confirmed: {
+    'in-progress': 'appointments:start',
+    cancelled: 'appointments:cancel',
+    'no-show': 'appointments:mark-no-show'
+  },
+  'in-progress': {
+    completed: 'appointments:complete'
+  },
+  completed: {},
+  cancelled: {},
+  'no-show': {}
+};
+
+// Statuses after which the doctor's time is no longer held
+export const RELEASING_STATUSES = ['cancelled', 'no-show'];
+
+export class AppointmentStatusService {
+  /**
+   * Get the statuses an actor may move an appointment to from its current status
+   */
+  static getAllowedTransitions(from, actor) {
+    return Object.entries(STATUS_TRANSITIONS[from] || {})
+      .filter(([, permission]) => PermissionService.has(actor, permission))
+      .map(([to]) => to);
+  }
+
+  /**
+   * Validate a transition without applying it
+   * @param {Object} actor - User performing the change, or { role: 'system' }
+   * @throws {InvalidTransitionError} When the transition does not exist
+   * @throws {AppError} When the actor lacks the permission for it
+   */
+  static assertTransition(from, to, actor) {
+    const permission = STATUS_TRANSITIONS[from]?.[to];
+
+    if (!permission) {
+      throw new InvalidTransitionError(from, to, Object.keys(STATUS_TRANSITIONS[from] || {}));
+    }
+
+    if (!PermissionService.has(actor || { role: 'system' }, permission)) {
+      const role = actor?.role || 'system';
+      throw new AppError(
+        `Role '${role}' cannot change status from '${from}' to '${to}'`,
+        403,
+        'TRANSITION_NOT_PERMITTED',
+        { from, to, requiredPermission: permission }
+      );
+    }
+  }
+
+  /**
+   * Record a status entry in the appointment history
+   * @param {Object} appointment - Appointment document
+   * @param {string|null} from - Previous status
+   * @param {string} to - New status
+   * @param {Object} actor - User performing the change, or { role: 'system' }
+   * @param {string} reason - Optional reason
+   */
+  static recordHistory(appointment, from, to, actor, reason) {
+    appointment.statusHistory.push({
+      from,
+      to,
+      changedBy: actor?._id,
+      role: actor?.role || 'system',
+      reason,
+      changedAt: new Date()
+    });
+  }
+
+  /**
+   * Move an appointment to a new status
+   * @param {Object} appointment - Appointment document
+   * @param {string} to - Target status
+   * @param {Object} actor - User performing the change, or { role: 'system' }
+   * @param {Object} options - { reason, notes, applyPolicy, notify }
+   * @returns {Object} Saved appointment
+   */
+  static async transition(appointment, to, actor, { reason, notes, applyPolicy = true, notify = true } = {}) {
+    const from = appointment.status;
+    const role = actor?.role || 'system';
+
+    AppointmentStatusService.assertTransition(from, to, actor);
+
+    appointment.status = to;
+    if (notes) {
+      appointment.notes = notes;
+    }
+
+    if (to === 'cancelled') {
+      appointment.cancelledBy = actor?._id;
+      appointment.cancellationReason = reason || `Cancelled by ${role}`;
+    }
+
+    // Late-cancellation and no-show fees, refunds
+    if (applyPolicy) {
+      CancellationPolicyService.apply(appointment, to, role);
+    }
+
+    AppointmentStatusService.recordHistory(appointment, from, to, actor, reason);
+
+    // Only save over the status this transition was checked against, so of two concurrent
+    // changes (e.g. two reschedules) only the first applies
+    appointment.$where = { status: from };
+    try {
+      await appointment.save();
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        throw new AppError('Appointment status was changed by another request', 409, 'STATUS_CONFLICT');
+      }
+      throw error;
+    } finally {
+      appointment.$where = undefined;
+    }
+
+    if (RELEASING_STATUSES.includes(to)) {
+      await SlotReservationService.release(appointment._id);
+    }
+
+    if (notify) {
+      eventBus.emit(EVENTS.APPOINTMENT_STATUS_CHANGED, { appointment, actor, from, to, reason });
+    }
+
+    return appointment;
+  }
+}
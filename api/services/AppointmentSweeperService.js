@@ -0,0 +1,78 @@
+// services/AppointmentSweeperService.js
+import { Appointment } from '../models/Appointment.js';
+import { AppointmentStatusService } from './AppointmentStatusService.js';
+import { SWEEPER_POLICY } from '../../config.js';
+
+const SYSTEM_ACTOR = { role: 'system' };
+
+export class AppointmentSweeperService {
+  /**
+   * Confirmed appointments whose end plus grace period has passed
+   */
+  static async findMissed(now = new Date(), policy = SWEEPER_POLICY) {
+    const cutoff = new Date(now.getTime() - policy.noShowGraceMinutes * 60000);
+
+    return Appointment.find({
+      status: 'confirmed',
+      $expr: {
+        $lt: [
+          { $add: ['$appointmentDate', { $multiply: [{ $ifNull: ['$duration', 30] }, 60000] }] },
+          cutoff
+        ]
+      }
+    });
+  }
+
+  /**
+   * Scheduled appointments the doctor never confirmed, close to or past their start
+   * Appointments booked less than the confirmation grace period ago are left alone.
+   */
+  static async findUnconfirmed(now = new Date(), policy = SWEEPER_POLICY) {
+    return Appointment.find({
+      status: 'scheduled',
+      appointmentDate: { $lt: new Date(now.getTime() + policy.unconfirmedCutoffHours * 3600000) },
+      createdAt: { $lt: new Date(now.getTime() - policy.confirmationGraceMinutes * 60000) }
+    });
+  }
+
+  /**
+   * Apply a system transition to each appointment, isolating failures
+   * @returns {number} Appointments transitioned
+   */
+  static async transitionAll(appointments, to, reason) {
+    let count = 0;
+
+    for (const appointment of appointments) {
+      try {
+        await AppointmentStatusService.transition(appointment, to, SYSTEM_ACTOR, { reason });
+        count++;
+      } catch (error) {
+        console.error(`❌ Could not mark ${appointment.appointmentId} as ${to}:`, error.message);
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Run one sweep
+   * @returns {Object} { noShows, autoCancelled }
+   */
+  static async run(now = new Date(), policy = SWEEPER_POLICY) {
+    const missed = await AppointmentSweeperService.findMissed(now, policy);
+    const noShows = await AppointmentSweeperService.transitionAll(
+      missed,
+      'no-show',
+      `No check-in within ${policy.noShowGraceMinutes} minutes after the appointment`
+    );
+
+    const unconfirmed = await AppointmentSweeperService.findUnconfirmed(now, policy);
+    const autoCancelled = await AppointmentSweeperService.transitionAll(
+      unconfirmed,
+      'cancelled',
+      'Not confirmed by the doctor in time'
+    );
+
+    return { noShows, autoCancelled };
+  }
+}
@@ -0,0 +1,171 @@
+// services/AuditService.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { AuditLog } from '../models/AuditLog.js';
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+
+// Fields covered by the hash, in a fixed order
+const HASHED_FIELDS = [
+  'sequence',
+  'timestamp',
+  'actor',
+  'actorRole',
+  'action',
+  'resourceType',
+  'resourceId',
+  'patient',
+  'accessBasis',
+  'ip',
+  'userAgent',
+  'method',
+  'path',
+  'statusCode',
+  'details',
+  'prevHash'
+];
+
+const normalise = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  return value;
+};
+
+const toObjectId = (value) => {
+  const id = value?._id ?? value;
+  return id && mongoose.isValidObjectId(id) ? new mongoose.Types.ObjectId(id.toString()) : undefined;
+};
+
+// Appends are serialised so each entry links to the one before it
+let appendQueue = Promise.resolve();
+
+export class AuditService {
+  /**
+   * Hash of an entry chained to the previous hash
+   */
+  static computeHash(entry) {
+    const payload = JSON.stringify(HASHED_FIELDS.map(field => normalise(entry[field])));
+    return crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  /**
+   * Append an entry to the chain
+   * @param {Object} entry - { actor, action, resourceType, resourceId, patient, accessBasis, ip, ... }
+   * @returns {Object} Saved entry
+   */
+  static record(entry) {
+    const run = appendQueue.then(() => AuditService.append(entry));
+    appendQueue = run.catch(() => {});
+    return run;
+  }
+
+  static async append(entry) {
+    // The unique sequence index catches other processes appending at the same time
+    for (let attempt = 1; ; attempt++) {
+      const last = await AuditLog.findOne().sort({ sequence: -1 }).select('sequence hash').lean();
+
+      const document = {
+        timestamp: new Date(),
+        actor: toObjectId(entry.actor),
+        actorRole: entry.actorRole,
+        action: entry.action,
+        resourceType: entry.resourceType,
+        resourceId: entry.resourceId?.toString(),
+        patient: toObjectId(entry.patient),
+        accessBasis: entry.accessBasis,
+        ip: entry.ip,
+        userAgent: entry.userAgent,
+        method: entry.method,
+        path: entry.path,
+        statusCode: entry.statusCode,
+        details: entry.details,
+        sequence: last ? last.sequence + 1 : 1,
+        prevHash: last ? last.hash : GENESIS_HASH
+      };
+      document.hash = AuditService.computeHash(document);
+
+      try {
+        return await AuditLog.create(document);
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Record an HTTP request against a resource
+   */
+  static async recordRequest(req, res, { action, resourceType, resourceId, patient, accessBasis, details }) {
+    return AuditService.record({
+      actor: req.user?._id,
+      actorRole: req.user?.role,
+      action,
+      resourceType,
+      resourceId,
+      patient,
+      accessBasis: accessBasis ?? req.patientAccess,
+      ip: req.ip,
+      userAgent: req.get('user-agent')?.slice(0, 300),
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      statusCode: res.statusCode,
+      details
+    });
+  }
+
+  /**
+   * Recompute the chain and report the first entry that does not match
+   * @returns {Object} { valid, checked, brokenAt, reason }
+   */
+  static async verifyChain() {
+    let expectedPrev = GENESIS_HASH;
+    let expectedSequence = 1;
+    let checked = 0;
+
+    const cursor = AuditLog.find().sort({ sequence: 1 }).lean().cursor();
+
+    for await (const entry of cursor) {
+      let reason = null;
+      if (entry.sequence !== expectedSequence) {
+        reason = 'missing-entry';
+      } else if (entry.prevHash !== expectedPrev) {
+        reason = 'broken-link';
+      } else if (AuditService.computeHash(entry) !== entry.hash) {
+        reason = 'modified-entry';
+      }
+
+      if (reason) {
+        await cursor.close();
+        return { valid: false, checked, brokenAt: entry.sequence, reason };
+      }
+
+      expectedPrev = entry.hash;
+      expectedSequence += 1;
+      checked += 1;
+    }
+
+    return { valid: true, checked, brokenAt: null, reason: null };
+  }
+
+  /**
+   * Build a query filter from admin search parameters
+   */
+  static buildFilter({ actor, patient, action, resourceType, resourceId, from, to }) {
+    const filter = {};
+    if (actor) filter.actor = actor;
+    if (patient) filter.patient = patient;
+    if (action) filter.action = action;
+    if (resourceType) filter.resourceType = resourceType;
+    if (resourceId) filter.resourceId = resourceId;
+    if (from || to) {
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = new Date(from);
+      if (to) filter.timestamp.$lte = new Date(to);
+    }
+    return filter;
+  }
+}
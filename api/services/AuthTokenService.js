@@ -0,0 +1,84 @@
+// services/AuthTokenService.js
+import crypto from 'crypto';
+import { AuthToken } from '../models/AuthToken.js';
+
+const TOKEN_TTL = {
+  'email-verification': 24 * 60 * 60 * 1000, // 24 hours
+  'password-reset': 60 * 60 * 1000, // 1 hour
+  'two-factor-challenge': 5 * 60 * 1000 // 5 minutes
+};
+
+const MAX_ATTEMPTS = 5;
+
+export class AuthTokenService {
+  /**
+   * Hash a raw token for storage and lookup
+   */
+  static hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Issue a new token, invalidating earlier unused tokens of the same type
+   * @param {ObjectId} userId - Token owner
+   * @param {string} type - 'email-verification', 'password-reset' or 'two-factor-challenge'
+   * @returns {string} Raw token to send to the user
+   */
+  static async issue(userId, type) {
+    await AuthToken.deleteMany({ user: userId, type, usedAt: null });
+
+    const token = crypto.randomBytes(32).toString('hex');
+    await AuthToken.create({
+      user: userId,
+      type,
+      tokenHash: AuthTokenService.hash(token),
+      expiresAt: new Date(Date.now() + TOKEN_TTL[type])
+    });
+
+    return token;
+  }
+
+  /**
+   * Atomically use a token
+   * @returns {ObjectId|null} Owner of the token, or null when invalid, used or expired
+   */
+  static async consume(token, type) {
+    if (!token) return null;
+
+    const record = await AuthToken.findOneAndUpdate(
+      {
+        tokenHash: AuthTokenService.hash(token),
+        type,
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+      },
+      { $set: { usedAt: new Date() } },
+      { new: true }
+    );
+
+    return record ? record.user : null;
+  }
+
+  /**
+   * Look up a valid token without using it
+   * @returns {Object|null} Token record, or null when invalid, used, expired or out of attempts
+   */
+  static async find(token, type) {
+    if (!token) return null;
+
+    return AuthToken.findOne({
+      tokenHash: AuthTokenService.hash(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: MAX_ATTEMPTS }
+    });
+  }
+
+  /**
+   * Count a failed attempt against a token
+   */
+  static async recordFailure(record) {
+    await AuthToken.updateOne({ _id: record._id }, { $inc: { attempts: 1 } });
+  }
+}
@@ -0,0 +1,310 @@
+// services/AvailabilityService.js
+import { Appointment } from '../models/Appointment.js';
+import { AvailabilityException } from '../models/AvailabilityException.js';
+import { AppError } from '../../utils/errorHandler.js';
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const MAX_RANGE_DAYS = 31;
+const MAX_DURATION = 180; // minutes, mirrors Appointment.duration max
+// Appointments in these statuses no longer hold the doctor's time
+const INACTIVE_STATUSES = ['cancelled', 'no-show'];
+
+export class AvailabilityService {
+  /**
+   * Convert an HH:MM string into minutes past midnight
+   */
+  static toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Convert minutes past midnight into an HH:MM string
+   */
+  static toTimeString(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const mins = minutes % 60;
+    return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+  }
+
+  /**
+   * Get local midnight for a date or YYYY-MM-DD string
+   */
+  static startOfDay(value) {
+    const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) {
+      return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+
+    const date = new Date(value);
+    date.setHours(0, 0, 0, 0);
+    return date;
+  }
+
+  /**
+   * Parse a date-time, treating bare YYYY-MM-DD values as local midnight
+   */
+  static parseDateTime(value) {
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return AvailabilityService.startOfDay(value);
+    }
+    return new Date(value);
+  }
+
+  /**
+   * Combine an appointment date with an HH:MM time
+   */
+  static combineDateAndTime(date, time) {
+    const combined = AvailabilityService.startOfDay(date);
+    combined.setMinutes(AvailabilityService.toMinutes(time));
+    return combined;
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD in server local time
+   */
+  static toDateString(date) {
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, '0'),
+      String(date.getDate()).padStart(2, '0')
+    ].join('-');
+  }
+
+  /**
+   * Get the working windows of a doctor for a single day
+   * @param {Object} doctor - Doctor document
+   * @param {Date} day - Local midnight of the day
+   * @param {Array} exceptions - Date exceptions overlapping the day
+   * @returns {Array} Merged windows as { start, end } in minutes past midnight
+   */
+  static getWindowsForDay(doctor, day, exceptions = []) {
+    const dayName = DAYS[day.getDay()];
+    const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+
+    const weekly = (doctor.availability || [])
+      .filter(window => window.day === dayName)
+      .map(window => ({
+        start: AvailabilityService.toMinutes(window.startTime),
+        end: AvailabilityService.toMinutes(window.endTime)
+      }));
+
+    // Extra windows are clipped to the day they fall on
+    const extra = exceptions
+      .filter(exception => exception.type === 'extra' && exception.start < nextDay && exception.end > day)
+      .map(exception => ({
+        start: exception.start > day ? exception.start.getHours() * 60 + exception.start.getMinutes() : 0,
+        end: exception.end < nextDay ? exception.end.getHours() * 60 + exception.end.getMinutes() : 24 * 60
+      }));
+
+    const windows = [...weekly, ...extra]
+      .filter(window => window.end > window.start)
+      .sort((a, b) => a.start - b.start);
+
+    // Merge overlapping windows so slots are not generated twice
+    return windows.reduce((merged, window) => {
+      const last = merged[merged.length - 1];
+      if (last && window.start <= last.end) {
+        last.end = Math.max(last.end, window.end);
+      } else {
+        merged.push({ ...window });
+      }
+      return merged;
+    }, []);
+  }
+
+  /**
+   * Load date exceptions of a doctor overlapping [from, to)
+   */
+  static async getExceptions(doctorId, from, to) {
+    return AvailabilityException.find({
+      doctor: doctorId,
+      start: { $lt: to },
+      end: { $gt: from }
+    }).sort({ start: 1 });
+  }
+
+  /**
+   * Get blocked intervals from a list of exceptions
+   */
+  static getBlockedIntervals(exceptions) {
+    return exceptions
+      .filter(exception => exception.type === 'blocked')
+      .map(exception => ({ start: exception.start, end: exception.end }));
+  }
+
+  /**
+   * Load active appointments of a doctor overlapping [from, to)
+   */
+  static async getBookedIntervals(doctorId, from, to, excludeAppointmentId = null) {
+    const filter = {
+      doctor: doctorId,
+      appointmentDate: {
+        // Appointments starting before `from` may still run into the range
+        $gt: new Date(from.getTime() - MAX_DURATION * 60000),
+        $lt: to
+      },
+      status: { $nin: INACTIVE_STATUSES }
+    };
+
+    if (excludeAppointmentId) {
+      filter._id = { $ne: excludeAppointmentId };
+    }
+
+    const appointments = await Appointment.find(filter).select('appointmentDate duration');
+
+    return appointments
+      .map(appointment => ({
+        start: appointment.appointmentDate,
+        end: new Date(appointment.appointmentDate.getTime() + (appointment.duration || 30) * 60000)
+      }))
+      .filter(interval => interval.end > from);
+  }
+
+  /**
+   * Check whether two intervals overlap
+   */
+  static overlaps(a, b) {
+    return a.start < b.end && b.start < a.end;
+  }
+
+  /**
+   * Expand the weekly availability of a doctor into free slots
+   * @param {Object} doctor - Doctor document
+   * @param {Date|string} from - First day of the range
+   * @param {Date|string} to - Last day of the range (inclusive)
+   * @param {number} duration - Slot length in minutes
+   * @returns {Array} Free slots
+   */
+  static async getFreeSlots(doctor, from, to, duration = 30) {
+    const rangeStart = AvailabilityService.startOfDay(from);
+    const rangeEnd = AvailabilityService.startOfDay(to);
+    rangeEnd.setDate(rangeEnd.getDate() + 1);
+
+    if (rangeEnd <= rangeStart) {
+      throw new AppError('`to` must not be before `from`', 400, 'INVALID_DATE_RANGE');
+    }
+
+    if ((rangeEnd - rangeStart) / 86400000 > MAX_RANGE_DAYS) {
+      throw new AppError(`Date range cannot exceed ${MAX_RANGE_DAYS} days`, 400, 'INVALID_DATE_RANGE');
+    }
+
+    const exceptions = await AvailabilityService.getExceptions(doctor._id, rangeStart, rangeEnd);
+    const unavailable = [
+      ...await AvailabilityService.getBookedIntervals(doctor._id, rangeStart, rangeEnd),
+      ...AvailabilityService.getBlockedIntervals(exceptions)
+    ];
+    const now = new Date();
+    const slots = [];
+
+    for (const day = new Date(rangeStart); day < rangeEnd; day.setDate(day.getDate() + 1)) {
+      for (const window of AvailabilityService.getWindowsForDay(doctor, day, exceptions)) {
+        for (let minute = window.start; minute + duration <= window.end; minute += duration) {
+          const slot = {
+            start: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minute),
+            end: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minute + duration)
+          };
+
+          if (slot.start < now || unavailable.some(interval => AvailabilityService.overlaps(slot, interval))) {
+            continue;
+          }
+
+          slots.push({
+            date: AvailabilityService.toDateString(day),
+            startTime: AvailabilityService.toTimeString(minute),
+            endTime: AvailabilityService.toTimeString(minute + duration),
+            start: slot.start,
+            end: slot.end
+          });
+        }
+      }
+    }
+
+    return slots;
+  }
+
+  /**
+   * Check whether a doctor can take an appointment at the given time
+   * @param {Object} doctor - Doctor document
+   * @param {Date} start - Appointment start
+   * @param {number} duration - Appointment length in minutes
+   * @param {Object} options - { excludeAppointmentId }
+   * @returns {Object} { available, reason }
+   */
+  static async checkSlot(doctor, start, duration = 30, { excludeAppointmentId = null } = {}) {
+    const end = new Date(start.getTime() + duration * 60000);
+    const day = AvailabilityService.startOfDay(start);
+    const startMinute = start.getHours() * 60 + start.getMinutes();
+    const endMinute = startMinute + duration;
+
+    if (start < new Date()) {
+      return { available: false, reason: 'Appointment time is in the past' };
+    }
+
+    const nextDay = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1);
+    const exceptions = await AvailabilityService.getExceptions(doctor._id, day, nextDay);
+
+    const withinWindow = AvailabilityService.getWindowsForDay(doctor, day, exceptions)
+      .some(window => startMinute >= window.start && endMinute <= window.end);
+
+    if (!withinWindow) {
+      return { available: false, reason: 'Doctor is not available at this time' };
+    }
+
+    const blocked = AvailabilityService.getBlockedIntervals(exceptions);
+    if (blocked.some(interval => AvailabilityService.overlaps({ start, end }, interval))) {
+      return { available: false, reason: 'Doctor is on leave at this time' };
+    }
+
+    const booked = await AvailabilityService.getBookedIntervals(doctor._id, start, end, excludeAppointmentId);
+    if (booked.some(interval => AvailabilityService.overlaps({ start, end }, interval))) {
+      return { available: false, reason: 'Requested time slot is already booked' };
+    }
+
+    return { available: true, reason: null };
+  }
+
+  /**
+   * Flag active appointments that fall inside a blocked exception
+   * @param {Object} exception - Blocked AvailabilityException document
+   * @returns {Array} Flagged appointments
+   */
+  static async flagConflictingAppointments(exception) {
+    const appointments = await Appointment.find({
+      doctor: exception.doctor,
+      appointmentDate: {
+        $gt: new Date(exception.start.getTime() - MAX_DURATION * 60000),
+        $lt: exception.end
+      },
+      status: { $nin: [...INACTIVE_STATUSES, 'completed'] }
+    });
+
+    const conflicting = appointments.filter(appointment => AvailabilityService.overlaps(
+      exception,
+      {
+        start: appointment.appointmentDate,
+        end: new Date(appointment.appointmentDate.getTime() + (appointment.duration || 30) * 60000)
+      }
+    ));
+
+    if (conflicting.length > 0) {
+      await Appointment.updateMany(
+        { _id: { $in: conflicting.map(appointment => appointment._id) } },
+        { $addToSet: { availabilityConflicts: exception._id } }
+      );
+    }
+
+    return conflicting;
+  }
+
+  /**
+   * Clear conflict flags left by a removed exception
+   * Flags of other exceptions that still overlap the appointment stay in place.
+   */
+  static async clearConflictFlags(exception) {
+    await Appointment.updateMany(
+      { availabilityConflicts: exception._id },
+      { $pull: { availabilityConflicts: exception._id } }
+    );
+  }
+}
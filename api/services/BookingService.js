@@ -0,0 +1,145 @@
+// services/BookingService.js
+import { Appointment } from '../models/Appointment.js';
+import { AvailabilityService } from './AvailabilityService.js';
+import { SlotReservationService } from './SlotReservationService.js';
+import { AppointmentStatusService, RELEASING_STATUSES } from './AppointmentStatusService.js';
+import { AppError } from '../../utils/errorHandler.js';
+import { eventBus, EVENTS } from '../../utils/events.js';
+
+export class BookingService {
+  /**
+   * Book an appointment after checking availability and reserving the slot
+   * @param {Object} doctor - Doctor document
+   * @param {Object} data - Appointment fields; appointmentDate must be the full start date-time
+   * @param {Object} options - { actor, reason, notify, excludeAppointmentId } to ignore an appointment being replaced
+   * @returns {Object} Saved appointment
+   */
+  static async book(doctor, data, { actor = null, reason, notify = true, excludeAppointmentId = null } = {}) {
+    const start = data.appointmentDate;
+    const duration = data.duration || 30;
+
+    // Friendly rejection for times outside availability or already booked
+    const slotCheck = await AvailabilityService.checkSlot(doctor, start, duration, { excludeAppointmentId });
+    if (!slotCheck.available) {
+      throw new AppError(slotCheck.reason, 409, 'SLOT_UNAVAILABLE');
+    }
+
+    const appointment = new Appointment({ ...data, doctor: doctor._id, duration });
+    AppointmentStatusService.recordHistory(appointment, null, appointment.status, actor, reason);
+
+    // Atomic guard against concurrent bookings of overlapping times
+    const reserved = await SlotReservationService.reserve(doctor._id, start, duration, appointment._id, {
+      transferFrom: excludeAppointmentId
+    });
+    if (!reserved) {
+      throw new AppError('Requested time slot is already booked', 409, 'SLOT_UNAVAILABLE');
+    }
+
+    try {
+      await appointment.save();
+    } catch (error) {
+      await SlotReservationService.release(appointment._id, { returnTo: excludeAppointmentId });
+      throw error;
+    }
+
+    if (notify) {
+      eventBus.emit(EVENTS.APPOINTMENT_BOOKED, { appointment, actor });
+    }
+
+    return appointment;
+  }
+
+  /**
+   * Move an appointment to a new time
+   * Books the replacement linked via rescheduledFrom and cancels the original.
+   * @param {Object} appointment - Appointment being rescheduled
+   * @param {Object} doctor - Doctor document
+   * @param {Object} changes - { appointmentDate, appointmentTime, duration, reason }
+   * @param {Object} user - User performing the reschedule
+   * @returns {Object} New appointment
+   */
+  static async reschedule(appointment, doctor, changes, user) {
+    // Rescheduling cancels the original, so the same transition rules apply
+    AppointmentStatusService.assertTransition(appointment.status, 'cancelled', user);
+
+    // The original keeps its time until the replacement is booked; blocks the two share
+    // are handed over rather than freed, so the slot is never open to another booking
+    const replacement = await BookingService.book(doctor, {
+      patient: appointment.patient,
+      appointmentDate: changes.appointmentDate,
+      appointmentTime: changes.appointmentTime,
+      duration: changes.duration || appointment.duration,
+      reasonForVisit: appointment.reasonForVisit,
+      symptoms: appointment.symptoms,
+      type: appointment.type,
+      fees: {
+        consultationFee: appointment.fees.consultationFee,
+        additionalCharges: appointment.fees.additionalCharges,
+        totalAmount: appointment.fees.totalAmount,
+        paymentStatus: appointment.fees.paymentStatus
+      },
+      status: 'scheduled',
+      rescheduledFrom: appointment._id
+    }, {
+      actor: user,
+      reason: `Rescheduled from ${appointment.appointmentId}`,
+      notify: false,
+      excludeAppointmentId: appointment._id
+    });
+
+    try {
+      // Conditional on the original's status, so a concurrent reschedule or cancel wins once
+      await AppointmentStatusService.transition(appointment, 'cancelled', user, {
+        reason: changes.reason || `Rescheduled to ${replacement.appointmentId}`,
+        // Fees and payment move with the replacement appointment
+        applyPolicy: false,
+        notify: false
+      });
+    } catch (error) {
+      // The replacement was never announced; remove it and give the original its time back
+      await SlotReservationService.release(replacement._id, { returnTo: appointment._id });
+      await Appointment.deleteOne({ _id: replacement._id });
+
+      // If the concurrent change cancelled the original, the handed-back blocks are not needed
+      const current = await Appointment.findById(appointment._id).select('status');
+      if (!current || RELEASING_STATUSES.includes(current.status)) {
+        await SlotReservationService.release(appointment._id);
+      }
+      throw error;
+    }
+
+    eventBus.emit(EVENTS.APPOINTMENT_RESCHEDULED, { appointment: replacement, previous: appointment, actor: user });
+
+    return replacement;
+  }
+
+  /**
+   * Get every appointment in the reschedule chain of an appointment, oldest first
+   */
+  static async getRescheduleChain(appointment) {
+    const fields = 'appointmentId appointmentDate appointmentTime duration status cancellationReason rescheduledFrom';
+    const maxDepth = 50;
+
+    const earlier = [];
+    let previousId = appointment.rescheduledFrom?._id || appointment.rescheduledFrom;
+    while (previousId && earlier.length < maxDepth) {
+      const previous = await Appointment.findById(previousId).select(fields);
+      if (!previous) break;
+      earlier.unshift(previous);
+      previousId = previous.rescheduledFrom;
+    }
+
+    const later = [];
+    let current = appointment._id;
+    while (later.length < maxDepth) {
+      const next = await Appointment.findOne({ rescheduledFrom: current }).select(fields);
+      if (!next) break;
+      later.push(next);
+      current = next._id;
+    }
+
+    const self = await Appointment.findById(appointment._id).select(fields);
+
+    return [...earlier, self, ...later];
+  }
+}
@@ -0,0 +1,82 @@
+// services/CancellationPolicyService.js
+import { CANCELLATION_POLICY } from '../../config.js';
+
+export class CancellationPolicyService {
+  /**
+   * Hours between now and the start of an appointment
+   */
+  static hoursUntil(appointment, now = new Date()) {
+    return (appointment.appointmentDate.getTime() - now.getTime()) / 3600000;
+  }
+
+  /**
+   * Work out the financial outcome of cancelling or missing an appointment
+   * @param {Object} appointment - Appointment document (before the status change)
+   * @param {string} to - Target status
+   * @param {string} role - Role performing the change
+   * @param {Object} policy - Policy settings, defaults to CANCELLATION_POLICY
+   * @returns {Object|null} Outcome, or null when the policy does not apply
+   */
+  static evaluate(appointment, to, role, policy = CANCELLATION_POLICY) {
+    if (!['cancelled', 'no-show'].includes(to)) {
+      return null;
+    }
+
+    const consultationFee = appointment.fees.consultationFee || 0;
+    const hoursBeforeAppointment = CancellationPolicyService.hoursUntil(appointment);
+    let rule = 'free-cancellation';
+    let percent = 0;
+
+    if (to === 'no-show') {
+      rule = 'no-show';
+      percent = policy.noShowFeePercent;
+    } else if (role === 'patient' && hoursBeforeAppointment < policy.cutoffHours) {
+      rule = 'late-cancellation';
+      percent = policy.lateCancellationFeePercent;
+    } else if (role !== 'patient') {
+      // Provider-side cancellations never cost the patient anything
+      rule = 'provider-cancellation';
+    }
+
+    const fee = Math.round(consultationFee * percent) / 100;
+    const paid = appointment.fees.paymentStatus === 'paid' ? appointment.fees.totalAmount : 0;
+
+    let paymentStatus = 'pending';
+    if (paid > 0 && fee === 0) {
+      paymentStatus = 'refunded';
+    } else if (paid > fee) {
+      paymentStatus = 'partially-refunded';
+    } else if (paid > 0) {
+      paymentStatus = 'paid';
+    }
+
+    return {
+      rule,
+      hoursBeforeAppointment: Math.round(hoursBeforeAppointment * 100) / 100,
+      cutoffHours: policy.cutoffHours,
+      fee,
+      amountDue: Math.max(0, fee - paid),
+      refundAmount: Math.max(0, paid - fee),
+      paymentStatus
+    };
+  }
+
+  /**
+   * Apply the policy outcome to an appointment's fees
+   * The fee replaces the consultation fee rather than adding to it, so it is recorded in
+   * cancellationPolicy and fees.totalAmount keeps the booked price.
+   * @returns {Object|null} Outcome that was applied
+   */
+  static apply(appointment, to, role, policy = CANCELLATION_POLICY) {
+    const outcome = CancellationPolicyService.evaluate(appointment, to, role, policy);
+
+    if (!outcome) {
+      return null;
+    }
+
+    appointment.fees.paymentStatus = outcome.paymentStatus;
+    appointment.cancellationPolicy = { ...outcome, appliedAt: new Date() };
+
+    return outcome;
+  }
+}
@@ -0,0 +1,178 @@
+// services/CareTeamService.js
+import { Appointment } from '../models/Appointment.js';
+import { Doctor } from '../models/Doctor.js';
+import { Referral } from '../models/Referral.js';
+import { PermissionService } from './PermissionService.js';
+import { ConsentService } from './ConsentService.js';
+import { CARE_TEAM_POLICY } from '../../config.js';
+import { ForbiddenError, NotFoundError } from '../../utils/errorHandler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Appointments that still lie ahead and those that actually took place
+const UPCOMING_STATUSES = ['scheduled', 'confirmed', 'in-progress'];
+const PAST_STATUSES = ['completed', 'no-show'];
+
+export class CareTeamService {
+  /**
+   * Appointment filter for a current or recent care relationship
+   * Upcoming appointments count from `upcomingDays` before them,
+   * past visits until `recentDays` after them.
+   */
+  static appointmentFilter(extra = {}, now = new Date()) {
+    return {
+      ...extra,
+      $or: [
+        {
+          status: { $in: UPCOMING_STATUSES },
+          appointmentDate: {
+            $gte: new Date(now.getTime() - DAY_MS),
+            $lte: new Date(now.getTime() + CARE_TEAM_POLICY.upcomingDays * DAY_MS)
+          }
+        },
+        {
+          status: { $in: PAST_STATUSES },
+          appointmentDate: {
+            $gte: new Date(now.getTime() - CARE_TEAM_POLICY.recentDays * DAY_MS),
+            $lte: now
+          }
+        }
+      ]
+    };
+  }
+
+  /**
+   * Filter for referrals that currently grant access
+   */
+  static referralFilter(extra = {}, now = new Date()) {
+    return {
+      ...extra,
+      revokedAt: null,
+      expiresAt: { $gt: now }
+    };
+  }
+
+  /**
+   * Whether a doctor is currently part of a patient's care team
+   * @returns {string|null} 'appointment', 'referral' or null
+   */
+  static async getRelationship(doctorId, patientId) {
+    if (!doctorId || !patientId) return null;
+
+    if (await Appointment.exists(CareTeamService.appointmentFilter({ doctor: doctorId, patient: patientId }))) {
+      return 'appointment';
+    }
+
+    if (await Referral.exists(CareTeamService.referralFilter({ toDoctor: doctorId, patient: patientId }))) {
+      return 'referral';
+    }
+
+    return null;
+  }
+
+  /**
+   * IDs of all patients currently in a doctor's care
+   */
+  static async getPatientIds(doctorId) {
+    const [fromAppointments, fromReferrals] = await Promise.all([
+      Appointment.distinct('patient', CareTeamService.appointmentFilter({ doctor: doctorId })),
+      Referral.distinct('patient', CareTeamService.referralFilter({ toDoctor: doctorId }))
+    ]);
+
+    const ids = new Map([...fromAppointments, ...fromReferrals].map(id => [id.toString(), id]));
+    return [...ids.values()];
+  }
+
+  /**
+   * Decide on what basis a user may act on a patient record
+   * Checks `permission` for the owner, `permission-any` for anyone,
+   * and `permission-care-team` for doctors treating the patient, named in the
+   * patient's consent or holding break-glass access.
+   * @returns {string|null} 'owner', 'any', 'care-team', 'consent', 'break-glass' or null when denied
+   */
+  static async resolveAccess(user, patient, permission) {
+    if ((patient.user?._id || patient.user)?.toString() === user._id.toString() && PermissionService.has(user, permission)) {
+      return 'owner';
+    }
+
+    if (PermissionService.has(user, `${permission}-any`)) {
+      return 'any';
+    }
+
+    if (user.profileType !== 'doctor' || !PermissionService.has(user, `${permission}-care-team`)) {
+      return null;
+    }
+
+    if (await CareTeamService.getRelationship(user.profile, patient._id)) {
+      return 'care-team';
+    }
+
+    if (ConsentService.namesDoctor(patient, user.profile)) {
+      return 'consent';
+    }
+
+    if (await ConsentService.hasEmergencyAccess(user, patient._id)) {
+      return 'break-glass';
+    }
+
+    return null;
+  }
+
+  /**
+   * Refer a patient to another doctor
+   * Doctors may only refer patients in their own care team unless they hold patients:refer-any.
+   */
+  static async refer(patient, { toDoctor, reason, expiresInDays }, user) {
+    const canReferAny = PermissionService.has(user, 'patients:refer-any');
+
+    if (!canReferAny) {
+      const relationship = user.profileType === 'doctor'
+        ? await CareTeamService.getRelationship(user.profile, patient._id)
+        : null;
+
+      if (!relationship) {
+        throw new ForbiddenError('You can only refer patients in your care');
+      }
+    }
+
+    if (!(await Doctor.exists({ _id: toDoctor }))) {
+      throw new NotFoundError('Doctor');
+    }
+
+    const days = expiresInDays || CARE_TEAM_POLICY.referralDays;
+
+    return Referral.create({
+      patient: patient._id,
+      fromDoctor: user.profileType === 'doctor' ? user.profile : undefined,
+      toDoctor,
+      reason,
+      createdBy: user._id,
+      expiresAt: new Date(Date.now() + days * DAY_MS)
+    });
+  }
+
+  /**
+   * Revoke a referral; allowed for its creator, the patient and holders of patients:refer-any
+   */
+  static async revokeReferral(patient, referralId, user) {
+    const referral = await Referral.findOne({ _id: referralId, patient: patient._id, revokedAt: null });
+
+    if (!referral) {
+      throw new NotFoundError('Referral');
+    }
+
+    const allowed = PermissionService.has(user, 'patients:refer-any') ||
+      referral.createdBy.toString() === user._id.toString() ||
+      patient.user.toString() === user._id.toString();
+
+    if (!allowed) {
+      throw new ForbiddenError('Not authorized to revoke this referral');
+    }
+
+    referral.revokedAt = new Date();
+    referral.revokedBy = user._id;
+    await referral.save();
+
+    return referral;
+  }
+}
@@ -0,0 +1,206 @@
+// services/ConsentService.js
+import { Doctor } from '../models/Doctor.js';
+import { User } from '../models/User.js';
+import { EmergencyAccess } from '../models/EmergencyAccess.js';
+import { PermissionService } from './PermissionService.js';
+import { AccountEmailService } from './AccountEmailService.js';
+import { CARE_TEAM_POLICY } from '../../config.js';
+import { eventBus, EVENTS } from '../../utils/events.js';
+import { ForbiddenError, NotFoundError } from '../../utils/errorHandler.js';
+
+/**
+ * Parts of a patient record the patient can share separately
+ */
+export const CONSENT_CATEGORIES = ['medicalHistory', 'allergies', 'prescriptions', 'appointmentNotes'];
+
+// Patient profile fields covered by each category
+const PROFILE_FIELDS = {
+  medicalHistory: ['medicalHistory', 'bloodGroup'],
+  allergies: ['allergies']
+};
+
+// Access bases that are not subject to the patient's sharing preferences
+const FULL_ACCESS = ['owner', 'any'];
+
+export class ConsentService {
+  /**
+   * Sharing preferences of one category, with defaults for records created before consent existed
+   */
+  static getCategory(patient, category) {
+    const settings = patient.consent?.[category];
+
+    return {
+      treatingDoctors: settings?.treatingDoctors ?? true,
+      doctors: settings?.doctors ?? [],
+      emergency: settings?.emergency ?? true
+    };
+  }
+
+  /**
+   * Whether the patient named the doctor as a grantee of any category
+   */
+  static namesDoctor(patient, doctorId) {
+    if (!doctorId) return false;
+
+    return CONSENT_CATEGORIES.some(category =>
+      ConsentService.getCategory(patient, category).doctors.some(id => id.toString() === doctorId.toString())
+    );
+  }
+
+  /**
+   * Whether the user holds unexpired break-glass access to the patient
+   */
+  static async hasEmergencyAccess(user, patientId) {
+    if (user.profileType !== 'doctor' || !PermissionService.has(user, 'patients:break-glass')) {
+      return false;
+    }
+
+    return Boolean(await EmergencyAccess.exists({
+      doctor: user.profile,
+      patient: patientId,
+      expiresAt: { $gt: new Date() }
+    }));
+  }
+
+  /**
+   * Categories the user may see on the basis returned by CareTeamService.resolveAccess
+   * Break-glass access adds the categories the patient released for emergencies; the
+   * returned access is then 'break-glass' so the audit log shows the override.
+   * @returns {Object} { categories, withheld, access }
+   */
+  static async resolveCategories(patient, user, access) {
+    const result = (categories, basis) => ({
+      categories,
+      withheld: CONSENT_CATEGORIES.filter(category => !categories.includes(category)),
+      access: basis
+    });
+
+    if (FULL_ACCESS.includes(access)) {
+      return result([...CONSENT_CATEGORIES], access);
+    }
+
+    const doctorId = user.profileType === 'doctor' ? user.profile?.toString() : null;
+
+    const consented = CONSENT_CATEGORIES.filter(category => {
+      const settings = ConsentService.getCategory(patient, category);
+      return settings.doctors.some(id => id.toString() === doctorId) ||
+        (access === 'care-team' && settings.treatingDoctors);
+    });
+
+    if (consented.length === CONSENT_CATEGORIES.length || !(await ConsentService.hasEmergencyAccess(user, patient._id))) {
+      return result(consented, access);
+    }
+
+    const categories = CONSENT_CATEGORIES.filter(category =>
+      consented.includes(category) || ConsentService.getCategory(patient, category).emergency
+    );
+
+    return result(categories, categories.length > consented.length ? 'break-glass' : access);
+  }
+
+  /**
+   * Patient profile as JSON without the fields of withheld categories
+   */
+  static redactProfile(patient, { withheld, access }) {
+    const data = patient.toJSON();
+
+    for (const category of withheld) {
+      for (const field of PROFILE_FIELDS[category] || []) {
+        delete data[field];
+      }
+    }
+
+    // Who else the patient shares with is only for the patient and administrators
+    if (!FULL_ACCESS.includes(access)) {
+      delete data.consent;
+    }
+
+    return { ...data, withheldCategories: withheld };
+  }
+
+  /**
+   * Appointment as JSON without withheld notes and prescriptions
+   * Doctors always see what was recorded in their own appointments.
+   */
+  static redactAppointment(appointment, { withheld }, user) {
+    const data = appointment.toJSON();
+    const doctorId = (appointment.doctor?._id || appointment.doctor)?.toString();
+
+    if (user.profileType === 'doctor' && doctorId === user.profile?.toString()) {
+      return data;
+    }
+
+    if (withheld.includes('appointmentNotes')) {
+      delete data.notes;
+    }
+
+    if (withheld.includes('prescriptions')) {
+      delete data.prescription;
+      delete data.prescriptionRevisions;
+    }
+
+    return data;
+  }
+
+  /**
+   * Change sharing preferences; categories missing from `changes` are left as they are
+   * @param {Object} changes - { [category]: { treatingDoctors, doctors, emergency } }
+   */
+  static async update(patient, changes) {
+    const doctorIds = [...new Set(
+      CONSENT_CATEGORIES.flatMap(category => changes[category]?.doctors || []).map(String)
+    )];
+
+    if (doctorIds.length && await Doctor.countDocuments({ _id: { $in: doctorIds } }) !== doctorIds.length) {
+      throw new NotFoundError('Doctor');
+    }
+
+    for (const category of CONSENT_CATEGORIES) {
+      const change = changes[category];
+      if (!change) continue;
+
+      const settings = { ...ConsentService.getCategory(patient, category) };
+      if (change.treatingDoctors !== undefined) settings.treatingDoctors = change.treatingDoctors;
+      if (change.emergency !== undefined) settings.emergency = change.emergency;
+      if (change.doctors) settings.doctors = [...new Set(change.doctors.map(String))];
+
+      patient.set(`consent.${category}`, settings);
+    }
+
+    patient.set('consent.updatedAt', new Date());
+    await patient.save();
+
+    return patient.consent;
+  }
+
+  /**
+   * Open a record in an emergency, overriding the patient's sharing preferences
+   * The patient is notified in the app and by email.
+   */
+  static async grantEmergencyAccess(patient, user, reason) {
+    if (user.profileType !== 'doctor') {
+      throw new ForbiddenError('Emergency access requires a doctor profile');
+    }
+
+    const access = await EmergencyAccess.create({
+      patient: patient._id,
+      doctor: user.profile,
+      user: user._id,
+      reason,
+      expiresAt: new Date(Date.now() + CARE_TEAM_POLICY.emergencyAccessMinutes * 60 * 1000)
+    });
+
+    eventBus.emit(EVENTS.EMERGENCY_ACCESS_GRANTED, { patient, access, actor: user });
+
+    try {
+      const owner = await User.findById(patient.user).select('name email');
+      if (owner) {
+        await AccountEmailService.sendEmergencyAccessNotice(owner, user, access);
+      }
+    } catch (error) {
+      console.error('❌ Could not send emergency access email:', error.message);
+    }
+
+    return access;
+  }
+}
@@ -0,0 +1,137 @@
+// services/DocumentService.js
+import crypto from 'crypto';
+import PDFDocument from 'pdfkit';
+
+const getSigningSecret = () =>
+  process.env.DOCUMENT_SIGNING_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+const formatDate = (date) => (date ? new Date(date).toISOString().slice(0, 10) : 'N/A');
+
+export class DocumentService {
+  /**
+   * Compute the verification code printed on a visit summary
+   * The code changes whenever the prescription is amended.
+   */
+  static getVerificationCode(appointment) {
+    const payload = [
+      appointment._id.toString(),
+      appointment.appointmentId,
+      appointment.prescription?.version || 0,
+      appointment.prescription?.issuedAt ? new Date(appointment.prescription.issuedAt).toISOString() : ''
+    ].join(':');
+
+    const digest = crypto
+      .createHmac('sha256', getSigningSecret())
+      .update(payload)
+      .digest('hex')
+      .slice(0, 12)
+      .toUpperCase();
+
+    return digest.match(/.{4}/g).join('-');
+  }
+
+  /**
+   * Check a verification code against an appointment
+   */
+  static verifyCode(appointment, code) {
+    const expected = Buffer.from(DocumentService.getVerificationCode(appointment));
+    const actual = Buffer.from((code || '').toString().trim().toUpperCase());
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Render a prescription and visit summary as PDF
+   * @param {Object} appointment - Appointment document
+   * @param {Object} doctor - Doctor document with populated user
+   * @param {Object} patient - Patient document with populated user
+   * @param {Object} sharing - From ConsentService.resolveCategories; withheld categories are not printed
+   * @returns {Promise<Buffer>} PDF contents
+   */
+  static renderVisitSummary(appointment, doctor, patient, { withheld = [] } = {}) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const prescription = appointment.prescription;
+      const verificationCode = DocumentService.getVerificationCode(appointment);
+
+      // Header
+      doc.fontSize(20).text('DaktariHub', { align: 'center' });
+      doc.fontSize(14).text('Prescription & Visit Summary', { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(10)
+        .text(`Appointment: ${appointment.appointmentId}`)
+        .text(`Date: ${formatDate(appointment.appointmentDate)} ${appointment.appointmentTime}`)
+        .text(`Type: ${appointment.type}`)
+        .text(`Status: ${appointment.status}`);
+      doc.moveDown();
+
+      // Doctor
+      doc.fontSize(12).text('Doctor', { underline: true });
+      doc.fontSize(10)
+        .text(`Name: ${doctor?.user?.name || 'N/A'}`)
+        .text(`Qualification: ${doctor?.qualification || 'N/A'}`)
+        .text(`Specialization: ${doctor?.specialization || 'N/A'}`)
+        .text(`Doctor ID: ${doctor?.doctorId || 'N/A'}`);
+      doc.moveDown();
+
+      // Patient
+      const allergies = withheld.includes('allergies')
+        ? 'Not shared'
+        : (patient?.allergies || [])
+          .map(allergy => `${allergy.allergen} (${allergy.severity})`)
+          .join(', ');
+
+      doc.fontSize(12).text('Patient', { underline: true });
+      doc.fontSize(10)
+        .text(`Name: ${patient?.user?.name || 'N/A'}`)
+        .text(`Patient ID: ${patient?.patientId || 'N/A'}`)
+        .text(`Age: ${patient?.age ?? 'N/A'}`)
+        .text(`Allergies: ${allergies || 'None recorded'}`);
+      doc.moveDown();
+
+      // Prescription
+      doc.fontSize(12).text('Prescription', { underline: true });
+      if (prescription?.version) {
+        doc.fontSize(10).text(`Version ${prescription.version}, issued ${formatDate(prescription.issuedAt)}`);
+        doc.moveDown(0.5);
+
+        prescription.medications.forEach((medication, index) => {
+          doc.fontSize(10).text(`${index + 1}. ${medication.name}`);
+          const details = [medication.dosage, medication.frequency, medication.duration]
+            .filter(Boolean)
+            .join(' | ');
+          if (details) doc.text(`   ${details}`);
+          if (medication.instructions) doc.text(`   ${medication.instructions}`);
+        });
+
+        if (prescription.notes) {
+          doc.moveDown(0.5).text(`Notes: ${prescription.notes}`);
+        }
+      } else {
+        doc.fontSize(10).text('No prescription issued');
+      }
+      doc.moveDown();
+
+      // Visit notes
+      doc.fontSize(12).text('Visit Notes', { underline: true });
+      doc.fontSize(10).text(appointment.notes || 'No notes recorded');
+      doc.moveDown(2);
+
+      // Verification
+      doc.fontSize(10)
+        .text(`Verification code: ${verificationCode}`)
+        .text(`Generated: ${new Date().toISOString()}`)
+        .fontSize(8)
+        .text('Verify at /api/appointments/verify with the appointment number and this code.');
+
+      doc.end();
+    });
+  }
+}
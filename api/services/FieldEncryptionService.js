@@ -0,0 +1,98 @@
+// services/FieldEncryptionService.js
+import { Patient } from '../models/Patient.js';
+import { Appointment } from '../models/Appointment.js';
+import {
+  activeKeyId,
+  decryptValue,
+  encryptValue,
+  isEncrypted,
+  keyIdOf,
+  transformFields
+} from '../../utils/fieldEncryption.js';
+
+// Models using the fieldEncryption plugin
+const ENCRYPTED_MODELS = [Patient, Appointment];
+
+/**
+ * Key IDs of the encrypted values in a raw document ('plaintext' for values not yet encrypted)
+ */
+const keysInDocument = (raw, fields) => {
+  const found = new Set();
+  transformFields(raw, fields, (value) => {
+    if (typeof value === 'string') {
+      found.add(isEncrypted(value) ? keyIdOf(value) : 'plaintext');
+    }
+    return value;
+  });
+  return found;
+};
+
+export class FieldEncryptionService {
+  /**
+   * Count documents per model by the keys their fields are encrypted with
+   * @returns {Object} { activeKeyId, models: { Patient: { total, keys: { [keyId]: count } } } }
+   */
+  static async status() {
+    const models = {};
+
+    for (const Model of ENCRYPTED_MODELS) {
+      const summary = { total: 0, keys: {} };
+
+      // The raw collection bypasses the plugin, so stored values are seen as they are
+      for await (const raw of Model.collection.find({})) {
+        summary.total += 1;
+        for (const keyId of keysInDocument(raw, Model.encryptedFields)) {
+          summary.keys[keyId] = (summary.keys[keyId] || 0) + 1;
+        }
+      }
+
+      models[Model.modelName] = summary;
+    }
+
+    return { activeKeyId: activeKeyId(), models };
+  }
+
+  /**
+   * Re-encrypt every document that holds plaintext or values under a retired key
+   * Documents changed by the application while being rotated are skipped and picked
+   * up by the next run.
+   * @param {Object} options - { dryRun }
+   * @returns {Object} { activeKeyId, models: { Patient: { scanned, rotated, skipped } } }
+   */
+  static async rotate({ dryRun = false } = {}) {
+    const currentKey = activeKeyId();
+    const models = {};
+
+    for (const Model of ENCRYPTED_MODELS) {
+      const fields = Model.encryptedFields;
+      const roots = [...new Set(fields.map(field => field.split('.')[0]))];
+      const result = { scanned: 0, rotated: 0, skipped: 0 };
+
+      for await (const raw of Model.collection.find({})) {
+        result.scanned += 1;
+
+        const keys = keysInDocument(raw, fields);
+        if (keys.size === 0 || (keys.size === 1 && keys.has(currentKey))) continue;
+
+        if (dryRun) {
+          result.rotated += 1;
+          continue;
+        }
+
+        transformFields(raw, fields, value => encryptValue(decryptValue(value)));
+
+        const update = Object.fromEntries(roots.filter(root => raw[root] !== undefined).map(root => [root, raw[root]]));
+        const { modifiedCount } = await Model.collection.updateOne(
+          { _id: raw._id, updatedAt: raw.updatedAt },
+          { $set: update }
+        );
+
+        result[modifiedCount ? 'rotated' : 'skipped'] += 1;
+      }
+
+      models[Model.modelName] = result;
+    }
+
+    return { activeKeyId: currentKey, models };
+  }
+}
@@ -0,0 +1,104 @@
+// services/FollowUpService.js
+import { Appointment } from '../models/Appointment.js';
+import { Doctor } from '../models/Doctor.js';
+import { AvailabilityService } from './AvailabilityService.js';
+import { BookingService } from './BookingService.js';
+import { NoShowService } from './NoShowService.js';
+import { AppointmentStatusService } from './AppointmentStatusService.js';
+import { PermissionService } from './PermissionService.js';
+import { 
+  AppError, 
+  NotFoundError 
+} from '../../utils/errorHandler.js';
+
+const SUGGESTION_DAYS = 3;
+const SUGGESTION_LIMIT = 5;
+
+export class FollowUpService {
+  /**
+   * Filter for completed appointments whose follow-up was never booked
+   */
+  static unbookedFilter(extra = {}) {
+    return {
+      status: 'completed',
+      followUpRequired: true,
+      followUpAppointment: { $exists: false },
+      ...extra
+    };
+  }
+
+  /**
+   * Suggest free slots with the same doctor around the follow-up date
+   */
+  static async suggestSlots(appointment) {
+    const doctor = await Doctor.findById(appointment.doctor).select('availability');
+    if (!doctor) return [];
+
+    const from = appointment.followUpDate && appointment.followUpDate > new Date()
+      ? appointment.followUpDate
+      : new Date();
+    const to = new Date(from.getTime() + (SUGGESTION_DAYS - 1) * 24 * 60 * 60 * 1000);
+
+    const slots = await AvailabilityService.getFreeSlots(doctor, from, to, appointment.duration || 30);
+    return slots.slice(0, SUGGESTION_LIMIT);
+  }
+
+  /**
+   * Book the follow-up of a completed appointment with the same doctor
+   * @param {Object} original - Completed appointment requiring a follow-up
+   * @param {Object} data - { appointmentDate (full start), appointmentTime, duration }
+   * @param {Object} user - User booking the follow-up
+   * @returns {Object} Follow-up appointment
+   */
+  static async book(original, data, user) {
+    if (original.status !== 'completed' || !original.followUpRequired) {
+      throw new AppError('Appointment has no pending follow-up', 409, 'NO_FOLLOW_UP');
+    }
+
+    if (original.followUpAppointment) {
+      throw new AppError('Follow-up has already been booked', 409, 'FOLLOW_UP_ALREADY_BOOKED');
+    }
+
+    // Same self-service restriction as a regular booking; staff can still book for the patient
+    if (!PermissionService.has(user, 'follow-ups:book-any')) {
+      await NoShowService.assertCanBook(original.patient);
+    }
+
+    const doctor = await Doctor.findById(original.doctor);
+    if (!doctor) {
+      throw new NotFoundError('Doctor');
+    }
+
+    const followUp = await BookingService.book(doctor, {
+      patient: original.patient,
+      appointmentDate: data.appointmentDate,
+      appointmentTime: data.appointmentTime,
+      duration: data.duration || original.duration,
+      reasonForVisit: `Follow-up for ${original.appointmentId}: ${original.reasonForVisit}`.slice(0, 500),
+      type: 'follow-up',
+      fees: {
+        consultationFee: doctor.consultationFee || 100,
+        additionalCharges: 0,
+        totalAmount: doctor.consultationFee || 100
+      },
+      status: 'scheduled'
+    }, { actor: user, reason: `Follow-up of ${original.appointmentId}` });
+
+    // Link atomically so two concurrent bookings cannot both claim the follow-up
+    const linked = await Appointment.updateOne(
+      { _id: original._id, followUpAppointment: { $exists: false } },
+      { $set: { followUpAppointment: followUp._id } }
+    );
+
+    if (linked.modifiedCount === 0) {
+      await AppointmentStatusService.transition(followUp, 'cancelled', { role: 'system' }, {
+        reason: 'Duplicate follow-up booking',
+        applyPolicy: false,
+        notify: false
+      });
+      throw new AppError('Follow-up has already been booked', 409, 'FOLLOW_UP_ALREADY_BOOKED');
+    }
+
+    return followUp;
+  }
+}
@@ -0,0 +1,121 @@
+// services/LoginProtectionService.js
+import bcrypt from 'bcrypt';
+import { User } from '../models/User.js';
+import { AccountEmailService } from './AccountEmailService.js';
+import { LOGIN_PROTECTION } from '../../config.js';
+import { AppError, NotFoundError } from '../../utils/errorHandler.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Hash of a random password at the cost User uses, compared against when the email is unknown
+const DUMMY_PASSWORD_HASH = '$2b$12$q5D/ubJNeVI1VmSIAbiEaudkqmAmRUMVpb39UD.61tkHNTcGn8eNS';
+
+const lockedError = (lockUntil) => new AppError(
+  'Account is temporarily locked after too many failed login attempts',
+  423,
+  'ACCOUNT_LOCKED',
+  { lockedUntil: lockUntil }
+);
+
+export class LoginProtectionService {
+  /**
+   * Reject logins to a locked account, even with the right password
+   */
+  static assertNotLocked(user) {
+    if (user.isLocked()) {
+      throw lockedError(user.lockUntil);
+    }
+  }
+
+  /**
+   * Spend the time of a password check on a login for an unknown email
+   * Without it the fast rejection tells which emails have accounts.
+   */
+  static async checkUnknownUser(password) {
+    await bcrypt.compare(password || '', DUMMY_PASSWORD_HASH);
+  }
+
+  /**
+   * Delay before answering a failed attempt
+   * Zero for the first few failures, then doubling up to the maximum.
+   */
+  static delayFor(attempts) {
+    const { delayAfterFailures, baseDelayMs, maxDelayMs } = LOGIN_PROTECTION;
+    if (attempts < delayAfterFailures) return 0;
+    return Math.min(baseDelayMs * 2 ** (attempts - delayAfterFailures), maxDelayMs);
+  }
+
+  /**
+   * Count a failed login, slow the response down and lock the account at the limit
+   * Failures keep counting after a lockout expires, so each further failure locks again
+   * until a successful login resets the counter.
+   * @throws {AppError} ACCOUNT_LOCKED when this failure locked the account
+   */
+  static async recordFailure(user) {
+    const updated = await User.findByIdAndUpdate(
+      user._id,
+      {
+        $inc: { failedLoginAttempts: 1 },
+        $set: { lastFailedLoginAt: new Date() }
+      },
+      { new: true }
+    ).select('name email failedLoginAttempts lockUntil');
+
+    const attempts = updated.failedLoginAttempts;
+    await sleep(LoginProtectionService.delayFor(attempts));
+
+    if (attempts >= LOGIN_PROTECTION.maxFailedAttempts) {
+      const lockUntil = new Date(Date.now() + LOGIN_PROTECTION.lockoutMinutes * 60 * 1000);
+      await User.updateOne({ _id: user._id }, { $set: { lockUntil } });
+
+      // Only tell the owner the first time the limit is reached
+      if (attempts === LOGIN_PROTECTION.maxFailedAttempts) {
+        try {
+          await AccountEmailService.sendLockoutNotice(updated, lockUntil);
+        } catch (error) {
+          console.error('❌ Could not send lockout email:', error.message);
+        }
+      }
+
+      throw lockedError(lockUntil);
+    }
+  }
+
+  /**
+   * Clear failure tracking after a successful login
+   */
+  static async recordSuccess(user) {
+    if (!user.failedLoginAttempts && !user.lockUntil) return;
+
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } }
+    );
+  }
+
+  /**
+   * Unlock an account and reset its failure count (admin)
+   */
+  static async unlock(userId) {
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1 } },
+      { new: true }
+    ).select('name email role failedLoginAttempts lockUntil');
+
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    return user;
+  }
+
+  /**
+   * Accounts that are locked right now
+   */
+  static async listLocked() {
+    return User.find({ lockUntil: { $gt: new Date() } })
+      .select('name email role failedLoginAttempts lastFailedLoginAt lockUntil')
+      .sort({ lockUntil: -1 });
+  }
+}
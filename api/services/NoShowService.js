@@ -0,0 +1,88 @@
+// services/NoShowService.js
+import { Appointment } from '../models/Appointment.js';
+import { AppError } from '../../utils/errorHandler.js';
+import { SWEEPER_POLICY } from '../../config.js';
+
+export class NoShowService {
+  /**
+   * Start of the window in which no-shows count against a patient
+   */
+  static lookbackStart(policy = SWEEPER_POLICY) {
+    return new Date(Date.now() - policy.noShowLookbackDays * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Count recent no-shows of a patient
+   */
+  static async countForPatient(patientId, policy = SWEEPER_POLICY) {
+    return Appointment.countDocuments({
+      patient: patientId,
+      status: 'no-show',
+      appointmentDate: { $gte: NoShowService.lookbackStart(policy) }
+    });
+  }
+
+  /**
+   * Reject bookings from patients who repeatedly miss appointments
+   * @throws {AppError} When the patient reached the no-show limit
+   */
+  static async assertCanBook(patientId, policy = SWEEPER_POLICY) {
+    if (!policy.noShowBookingLimit) return;
+
+    const count = await NoShowService.countForPatient(patientId, policy);
+    if (count >= policy.noShowBookingLimit) {
+      throw new AppError(
+        `Booking restricted after ${count} missed appointments in the last ${policy.noShowLookbackDays} days`,
+        403,
+        'BOOKING_RESTRICTED',
+        { noShows: count, limit: policy.noShowBookingLimit, lookbackDays: policy.noShowLookbackDays }
+      );
+    }
+  }
+
+  /**
+   * No-show counts grouped by doctor or patient
+   * @param {Object} options - { groupBy: 'doctor'|'patient', from, to, limit }
+   * @returns {Array} Rows as { id, reference, noShows, total, rate }
+   */
+  static async report({ groupBy = 'patient', from, to, limit = 50 } = {}) {
+    const field = groupBy === 'doctor' ? 'doctor' : 'patient';
+    const match = {};
+
+    if (from || to) {
+      match.appointmentDate = {};
+      if (from) match.appointmentDate.$gte = new Date(from);
+      if (to) match.appointmentDate.$lte = new Date(to);
+    }
+
+    const collection = field === 'doctor' ? 'doctors' : 'patients';
+    const referenceField = field === 'doctor' ? '$profile.doctorId' : '$profile.patientId';
+
+    return Appointment.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: `$${field}`,
+          noShows: { $sum: { $cond: [{ $eq: ['$status', 'no-show'] }, 1, 0] } },
+          total: { $sum: 1 }
+        }
+      },
+      { $match: { noShows: { $gt: 0 } } },
+      { $sort: { noShows: -1 } },
+      { $limit: limit },
+      { $lookup: { from: collection, localField: '_id', foreignField: '_id', as: 'profile' } },
+      { $unwind: { path: '$profile', preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          id: '$_id',
+          reference: referenceField,
+          noShows: 1,
+          total: 1,
+          rate: { $round: [{ $divide: ['$noShows', '$total'] }, 2] }
+        }
+      }
+    ]);
+  }
+}
+
@@ -0,0 +1,148 @@
+// services/NotificationService.js
+import { Notification } from '../models/Notification.js';
+import { Doctor } from '../models/Doctor.js';
+import { Patient } from '../models/Patient.js';
+import { AvailabilityService } from './AvailabilityService.js';
+import { EVENTS, subscribe } from '../../utils/events.js';
+
+const describeTime = (appointment) =>
+  `${AvailabilityService.toDateString(appointment.appointmentDate)} at ${appointment.appointmentTime}`;
+
+export class NotificationService {
+  /**
+   * Store a notification for a single user
+   */
+  static async notify({ recipient, recipientRole, type, title, message, appointment = null, data = null }) {
+    return Notification.create({
+      recipient,
+      recipientRole,
+      type,
+      title,
+      message,
+      appointment,
+      data
+    });
+  }
+
+  /**
+   * Resolve the users behind the doctor and patient of an appointment
+   * @returns {Array} Recipients as { user, role }
+   */
+  static async getAppointmentParties(appointment) {
+    const [doctor, patient] = await Promise.all([
+      Doctor.findById(appointment.doctor?._id || appointment.doctor).select('user'),
+      Patient.findById(appointment.patient?._id || appointment.patient).select('user')
+    ]);
+
+    return [
+      doctor && { user: doctor.user, role: 'doctor' },
+      patient && { user: patient.user, role: 'patient' }
+    ].filter(Boolean);
+  }
+
+  /**
+   * Notify both parties of an appointment, skipping the user who caused the event
+   * @param {Object} appointment - Appointment document
+   * @param {Object} actor - Acting user
+   * @param {string} type - Notification type (event name)
+   * @param {Function} build - (role) => { title, message }
+   * @param {Object} data - Extra payload stored with each notification
+   */
+  static async notifyAppointmentParties(appointment, actor, type, build, data = null) {
+    const parties = await NotificationService.getAppointmentParties(appointment);
+    const actorId = actor?._id?.toString();
+
+    await Promise.all(parties
+      .filter(party => party.user.toString() !== actorId)
+      .map(party => NotificationService.notify({
+        recipient: party.user,
+        recipientRole: party.role,
+        type,
+        appointment: appointment._id,
+        data,
+        ...build(party.role)
+      })));
+  }
+
+  static async onAppointmentBooked({ appointment, actor }) {
+    await NotificationService.notifyAppointmentParties(
+      appointment,
+      actor,
+      EVENTS.APPOINTMENT_BOOKED,
+      (role) => role === 'doctor'
+        ? {
+            title: 'New appointment booked',
+            message: `Appointment ${appointment.appointmentId} was booked for ${describeTime(appointment)}.`
+          }
+        : {
+            title: 'Appointment booked',
+            message: `Your appointment ${appointment.appointmentId} is booked for ${describeTime(appointment)}.`
+          }
+    );
+  }
+
+  static async onAppointmentStatusChanged({ appointment, actor, from, to, reason }) {
+    await NotificationService.notifyAppointmentParties(
+      appointment,
+      actor,
+      EVENTS.APPOINTMENT_STATUS_CHANGED,
+      () => ({
+        title: `Appointment ${to}`,
+        message: `Appointment ${appointment.appointmentId} on ${describeTime(appointment)} changed from ${from} to ${to}.`
+          + (reason ? ` Reason: ${reason}` : '')
+      }),
+      { from, to, reason }
+    );
+  }
+
+  static async onAppointmentRescheduled({ appointment, previous, actor }) {
+    await NotificationService.notifyAppointmentParties(
+      appointment,
+      actor,
+      EVENTS.APPOINTMENT_RESCHEDULED,
+      () => ({
+        title: 'Appointment rescheduled',
+        message: `Appointment ${previous.appointmentId} on ${describeTime(previous)} was moved to ${describeTime(appointment)} (${appointment.appointmentId}).`
+      }),
+      { previousAppointment: previous._id }
+    );
+  }
+
+  static async onMedicalRecordUpdated({ patient, actor, change }) {
+    if (patient.user.toString() === actor?._id?.toString()) {
+      return;
+    }
+
+    await NotificationService.notify({
+      recipient: patient.user,
+      recipientRole: 'patient',
+      type: EVENTS.MEDICAL_RECORD_UPDATED,
+      title: 'Medical record updated',
+      message: `Your ${change.replace(/-/g, ' ')} was updated.`,
+      data: { change }
+    });
+  }
+
+  static async onEmergencyAccessGranted({ patient, access, actor }) {
+    await NotificationService.notify({
+      recipient: patient.user,
+      recipientRole: 'patient',
+      type: EVENTS.EMERGENCY_ACCESS_GRANTED,
+      title: 'Emergency access to your record',
+      message: `Dr. ${actor.name} opened your record with emergency access until ${access.expiresAt.toUTCString()}. `
+        + `Reason: ${access.reason}`,
+      data: { emergencyAccess: access._id, doctor: access.doctor }
+    });
+  }
+
+  /**
+   * Subscribe to domain events; call once at startup
+   */
+  static register() {
+    subscribe(EVENTS.APPOINTMENT_BOOKED, NotificationService.onAppointmentBooked);
+    subscribe(EVENTS.APPOINTMENT_STATUS_CHANGED, NotificationService.onAppointmentStatusChanged);
+    subscribe(EVENTS.APPOINTMENT_RESCHEDULED, NotificationService.onAppointmentRescheduled);
+    subscribe(EVENTS.MEDICAL_RECORD_UPDATED, NotificationService.onMedicalRecordUpdated);
+    subscribe(EVENTS.EMERGENCY_ACCESS_GRANTED, NotificationService.onEmergencyAccessGranted);
+  }
+}
@@ -0,0 +1,264 @@
+// services/PatientRetentionService.js
+import crypto from 'crypto';
+import { Patient } from '../models/Patient.js';
+import { User } from '../models/User.js';
+import { Appointment } from '../models/Appointment.js';
+import { Referral } from '../models/Referral.js';
+import { EmergencyAccess } from '../models/EmergencyAccess.js';
+import { Notification } from '../models/Notification.js';
+import { Reminder } from '../models/Reminder.js';
+import { AuthToken } from '../models/AuthToken.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { SessionService } from './SessionService.js';
+import { AppointmentStatusService } from './AppointmentStatusService.js';
+import { AuditService } from './AuditService.js';
+import { RETENTION_POLICY } from '../../config.js';
+import { AppError } from '../../utils/errorHandler.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SYSTEM_ACTOR = { role: 'system' };
+
+// Appointments that are cancelled when the patient leaves, whatever their date
+const ACTIVE_STATUSES = ['scheduled', 'confirmed'];
+
+// Appointments that took place form the medical record and are kept intact on erasure
+const CLINICAL_STATUSES = ['in-progress', 'completed'];
+
+export class PatientRetentionService {
+  /**
+   * When a deleted patient will be erased
+   */
+  static erasureDate(patient) {
+    return new Date(patient.deletedAt.getTime() + RETENTION_POLICY.deletionGraceDays * DAY_MS);
+  }
+
+  /**
+   * Soft-delete a patient: hide the profile, deactivate the account and cancel open appointments
+   * The profile can be restored until the grace period ends, then it is erased.
+   */
+  static async softDelete(patient, actor) {
+    patient.deletedAt = new Date();
+    patient.deletedBy = actor._id;
+    await patient.save();
+
+    await User.updateOne({ _id: patient.user }, { $set: { isActive: false } });
+    await SessionService.revokeAll(patient.user, 'account-deleted');
+
+    const active = await Appointment.find({
+      patient: patient._id,
+      status: { $in: ACTIVE_STATUSES }
+    });
+
+    for (const appointment of active) {
+      try {
+        await AppointmentStatusService.transition(appointment, 'cancelled', SYSTEM_ACTOR, {
+          reason: 'Patient profile deleted',
+          applyPolicy: false
+        });
+      } catch (error) {
+        console.error(`❌ Could not cancel ${appointment.appointmentId}:`, error.message);
+      }
+    }
+
+    return patient;
+  }
+
+  /**
+   * Undo a soft delete within the grace period
+   * Cancelled appointments stay cancelled.
+   */
+  static async restore(patient) {
+    if (!patient.deletedAt) {
+      throw new AppError('Patient profile is not deleted', 400, 'PATIENT_NOT_DELETED');
+    }
+
+    if (patient.erasedAt) {
+      throw new AppError('Patient has been erased and cannot be restored', 409, 'PATIENT_ERASED');
+    }
+
+    patient.deletedAt = null;
+    patient.deletedBy = undefined;
+    await patient.save();
+
+    await User.updateOne({ _id: patient.user }, { $set: { isActive: true } });
+
+    return patient;
+  }
+
+  /**
+   * Everything stored about the patient's user, for a data export
+   */
+  static async exportData(patient) {
+    const userId = patient.user?._id || patient.user;
+
+    const [user, sessions, appointments, referrals, emergencyAccess, notifications, accessLog] = await Promise.all([
+      User.findById(userId),
+      SessionService.list(userId),
+      Appointment.find({ patient: patient._id })
+        .populate({
+          path: 'doctor',
+          select: 'doctorId specialization',
+          populate: {
+            path: 'user',
+            select: 'name'
+          }
+        })
+        .sort({ appointmentDate: -1 }),
+      Referral.find({ patient: patient._id }).sort({ createdAt: -1 }),
+      EmergencyAccess.find({ patient: patient._id }).sort({ createdAt: -1 }),
+      Notification.find({ recipient: userId }).sort({ createdAt: -1 }),
+      AuditLog.find({ patient: patient._id, actor: { $ne: userId }, statusCode: { $lt: 400 } })
+        .select('timestamp action resourceType accessBasis actorRole')
+        .sort({ timestamp: -1 })
+    ]);
+
+    return {
+      exportedAt: new Date(),
+      account: user,
+      sessions,
+      patient: patient.toJSON(),
+      appointments,
+      referrals,
+      emergencyAccess,
+      notifications,
+      accessLog
+    };
+  }
+
+  /**
+   * Erase a patient: remove everything that identifies them and keep the clinical record
+   * The user account is anonymised, contact details are removed and the date of birth is
+   * reduced to the year. Medical history, allergies and appointments that took place are
+   * retained for `medicalRecordYears` after the last visit, then purged.
+   */
+  static async erase(patient, actor) {
+    if (patient.erasedAt) {
+      throw new AppError('Patient has already been erased', 409, 'PATIENT_ERASED');
+    }
+
+    if (!patient.deletedAt) {
+      await PatientRetentionService.softDelete(patient, actor);
+    }
+
+    const userId = patient.user;
+    const user = await User.findById(userId);
+
+    if (user) {
+      user.name = 'Erased user';
+      user.email = `erased-${user._id}@erased.invalid`;
+      user.password = crypto.randomBytes(32).toString('hex');
+      user.isActive = false;
+      user.isEmailVerified = false;
+      user.emailVerifiedAt = undefined;
+      user.profileImage = undefined;
+      user.lastLogin = undefined;
+      user.twoFactor = { enabled: false };
+      // The placeholder address is deliberately not a deliverable email
+      await user.save({ validateBeforeSave: false });
+    }
+
+    // Reminder delivery records are not part of the medical record
+    const appointmentIds = await Appointment.find({ patient: patient._id }).distinct('_id');
+
+    await Promise.all([
+      AuthToken.deleteMany({ user: userId }),
+      Notification.deleteMany({ recipient: userId }),
+      Reminder.deleteMany({ appointment: { $in: appointmentIds } })
+    ]);
+
+    // Free-text about visits that never took place is not part of the medical record
+    await Appointment.updateMany(
+      { patient: patient._id, status: { $nin: CLINICAL_STATUSES } },
+      {
+        $set: { reasonForVisit: 'Erased', symptoms: [] },
+        $unset: { cancellationReason: 1, notes: 1 }
+      }
+    );
+
+    const lastVisit = await Appointment.findOne({ patient: patient._id, status: { $in: CLINICAL_STATUSES } })
+      .sort({ appointmentDate: -1 })
+      .select('appointmentDate');
+
+    const erasedAt = new Date();
+    const retainUntil = new Date(lastVisit?.appointmentDate || erasedAt);
+    retainUntil.setFullYear(retainUntil.getFullYear() + RETENTION_POLICY.medicalRecordYears);
+
+    const changes = { erasedAt, retainUntil };
+    if (patient.dateOfBirth) {
+      changes.dateOfBirth = new Date(Date.UTC(patient.dateOfBirth.getUTCFullYear(), 0, 1));
+    }
+
+    await Patient.updateOne(
+      { _id: patient._id },
+      {
+        $set: changes,
+        $unset: { phoneNumber: 1, address: 1, emergencyContact: 1, consent: 1 }
+      }
+    );
+
+    return { erasedAt, retainUntil };
+  }
+
+  /**
+   * Delete the retained clinical record of an erased patient
+   * The audit log is kept; it only refers to the patient by ID.
+   */
+  static async purge(patient) {
+    const appointmentIds = await Appointment.find({ patient: patient._id }).distinct('_id');
+
+    await Promise.all([
+      Reminder.deleteMany({ appointment: { $in: appointmentIds } }),
+      Appointment.deleteMany({ patient: patient._id }),
+      Referral.deleteMany({ patient: patient._id }),
+      EmergencyAccess.deleteMany({ patient: patient._id }),
+      User.deleteOne({ _id: patient.user })
+    ]);
+
+    await Patient.deleteOne({ _id: patient._id });
+  }
+
+  /**
+   * Erase patients whose grace period has ended and purge records past retention
+   * @returns {Object} { erased, purged }
+   */
+  static async run(now = new Date()) {
+    const graceCutoff = new Date(now.getTime() - RETENTION_POLICY.deletionGraceDays * DAY_MS);
+    let erased = 0;
+    let purged = 0;
+
+    const due = await Patient.find({ deletedAt: { $lte: graceCutoff }, erasedAt: null });
+    for (const patient of due) {
+      try {
+        await PatientRetentionService.erase(patient, SYSTEM_ACTOR);
+        await PatientRetentionService.recordJob('patient.erase', patient);
+        erased++;
+      } catch (error) {
+        console.error(`❌ Could not erase patient ${patient.patientId}:`, error.message);
+      }
+    }
+
+    const expired = await Patient.find({ deletedAt: { $ne: null }, retainUntil: { $lte: now } });
+    for (const patient of expired) {
+      try {
+        await PatientRetentionService.purge(patient);
+        await PatientRetentionService.recordJob('patient.purge', patient);
+        purged++;
+      } catch (error) {
+        console.error(`❌ Could not purge patient ${patient.patientId}:`, error.message);
+      }
+    }
+
+    return { erased, purged };
+  }
+
+  static async recordJob(action, patient) {
+    return AuditService.record({
+      actorRole: SYSTEM_ACTOR.role,
+      action,
+      resourceType: 'Patient',
+      resourceId: patient._id,
+      patient: patient._id,
+      details: { trigger: 'retention-policy' }
+    });
+  }
+}
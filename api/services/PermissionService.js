@@ -0,0 +1,187 @@
+// services/PermissionService.js
+import { Role } from '../models/Role.js';
+import { User } from '../models/User.js';
+import { PERMISSIONS, BUILT_IN_ROLES } from '../../utils/permissions.js';
+import {
+  AppError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError
+} from '../../utils/errorHandler.js';
+
+// Custom roles are resolved on every authenticated request, so keep them briefly in memory
+const CACHE_TTL = 30 * 1000;
+const cache = new Map();
+
+const idOf = (ref) => (ref?._id ?? ref)?.toString();
+
+export class PermissionService {
+  /**
+   * Permissions granted to a role
+   * @returns {string[]} Empty for unknown roles
+   */
+  static async getPermissions(role) {
+    if (BUILT_IN_ROLES[role]) {
+      return BUILT_IN_ROLES[role];
+    }
+
+    const cached = cache.get(role);
+    if (cached && Date.now() - cached.at < CACHE_TTL) {
+      return cached.permissions;
+    }
+
+    const custom = await Role.findOne({ name: role }).select('permissions').lean();
+    const permissions = custom ? custom.permissions : [];
+    cache.set(role, { permissions, at: Date.now() });
+
+    return permissions;
+  }
+
+  /**
+   * Whether a user or actor holds at least one of the permissions
+   * Uses permissions resolved by authenticate, or the built-in set for actors like `system`.
+   */
+  static has(user, ...permissions) {
+    const granted = user?.permissions ?? BUILT_IN_ROLES[user?.role] ?? [];
+    return permissions.some(permission => granted.includes(permission));
+  }
+
+  /**
+   * Whether the user is the patient or doctor of an appointment
+   */
+  static isAppointmentParty(user, appointment) {
+    if (!user?.profile) return false;
+    return [idOf(appointment.patient), idOf(appointment.doctor)].includes(user.profile);
+  }
+
+  /**
+   * Allow parties holding `permission`, and anyone holding `permission-any`
+   * @throws {ForbiddenError} Otherwise
+   */
+  static assertAppointmentAccess(user, appointment, permission, message = 'Not authorized to access this appointment') {
+    const allowed = PermissionService.has(user, `${permission}-any`) ||
+      (PermissionService.isAppointmentParty(user, appointment) && PermissionService.has(user, permission));
+
+    if (!allowed) {
+      throw new ForbiddenError(message);
+    }
+  }
+
+  /**
+   * Reject permission names that are not in the catalogue
+   */
+  static assertKnownPermissions(permissions) {
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      throw new AppError('Unknown permissions', 400, 'UNKNOWN_PERMISSION', { unknown });
+    }
+  }
+
+  /**
+   * Whether a role name is built in or has been created
+   */
+  static async roleExists(name) {
+    return Boolean(BUILT_IN_ROLES[name] && name !== 'system') || Boolean(await Role.exists({ name }));
+  }
+
+  /**
+   * Built-in and custom roles with their permissions
+   */
+  static async listRoles() {
+    const custom = await Role.find().sort({ name: 1 });
+
+    return [
+      ...Object.entries(BUILT_IN_ROLES)
+        .filter(([name]) => name !== 'system')
+        .map(([name, permissions]) => ({ name, permissions, builtIn: true })),
+      ...custom.map(role => ({ ...role.toObject(), builtIn: false }))
+    ];
+  }
+
+  /**
+   * Create a custom role
+   */
+  static async createRole({ name, description, permissions = [] }, actor) {
+    if (BUILT_IN_ROLES[name] || await Role.exists({ name })) {
+      throw new ConflictError(`Role '${name}' already exists`);
+    }
+
+    PermissionService.assertKnownPermissions(permissions);
+
+    return Role.create({
+      name,
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy: actor._id
+    });
+  }
+
+  /**
+   * Change the description or permissions of a custom role
+   */
+  static async updateRole(name, { description, permissions }, actor) {
+    if (BUILT_IN_ROLES[name]) {
+      throw new ForbiddenError('Built-in roles cannot be changed');
+    }
+
+    const role = await Role.findOne({ name });
+    if (!role) {
+      throw new NotFoundError('Role');
+    }
+
+    if (permissions !== undefined) {
+      PermissionService.assertKnownPermissions(permissions);
+      role.permissions = [...new Set(permissions)];
+    }
+    if (description !== undefined) {
+      role.description = description;
+    }
+    role.updatedBy = actor._id;
+    await role.save();
+
+    cache.delete(name);
+    return role;
+  }
+
+  /**
+   * Delete a custom role that no user holds any more
+   */
+  static async deleteRole(name) {
+    if (BUILT_IN_ROLES[name]) {
+      throw new ForbiddenError('Built-in roles cannot be deleted');
+    }
+
+    const assigned = await User.countDocuments({ role: name });
+    if (assigned > 0) {
+      throw new ConflictError(`Role is still assigned to ${assigned} user(s)`);
+    }
+
+    const result = await Role.deleteOne({ name });
+    if (result.deletedCount === 0) {
+      throw new NotFoundError('Role');
+    }
+
+    cache.delete(name);
+  }
+
+  /**
+   * Give a user another role
+   */
+  static async assignRole(userId, role) {
+    if (!(await PermissionService.roleExists(role))) {
+      throw new NotFoundError('Role');
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { role } },
+      { new: true }
+    ).select('name email role');
+
+    if (!user) {
+      throw new NotFoundError('User');
+    }
+
+    return user;
+  }
+}
@@ -0,0 +1,83 @@
+// services/PrescriptionService.js
+import { AppError } from '../../utils/errorHandler.js';
+
+// Prescriptions can only be written once the visit has started
+const PRESCRIBABLE_STATUSES = ['in-progress', 'completed'];
+
+const normalize = (value) => (value || '').toString().trim().toLowerCase();
+
+export class PrescriptionService {
+  /**
+   * Ensure an appointment is in a state that accepts prescriptions
+   */
+  static assertPrescribable(appointment) {
+    if (!PRESCRIBABLE_STATUSES.includes(appointment.status)) {
+      throw new AppError(
+        `Prescriptions can only be written for ${PRESCRIBABLE_STATUSES.join(' or ')} appointments`,
+        409,
+        'INVALID_STATUS'
+      );
+    }
+  }
+
+  /**
+   * Match medication names against a patient's recorded allergens
+   * A match is reported when either name contains the other, case-insensitively.
+   * @param {Array} medications - Medications being prescribed
+   * @param {Array} allergies - Patient allergies
+   * @returns {Array} Warnings as { medication, allergen, severity }
+   */
+  static checkAllergies(medications = [], allergies = []) {
+    const warnings = [];
+
+    for (const medication of medications) {
+      const name = normalize(medication.name);
+      if (!name) continue;
+
+      for (const allergy of allergies) {
+        const allergen = normalize(allergy.allergen);
+        if (allergen && (name.includes(allergen) || allergen.includes(name))) {
+          warnings.push({
+            medication: medication.name,
+            allergen: allergy.allergen,
+            severity: allergy.severity
+          });
+        }
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * Write a new prescription version onto an appointment
+   * The current version, if any, is archived in prescriptionRevisions.
+   * @param {Object} appointment - Appointment document
+   * @param {Object} patient - Patient document (for allergy checks)
+   * @param {Object} data - { medications, notes, amendmentReason }
+   * @param {Object} user - Prescribing user
+   * @returns {Array} Allergy warnings for the new version
+   */
+  static writeVersion(appointment, patient, { medications, notes, amendmentReason }, user) {
+    PrescriptionService.assertPrescribable(appointment);
+
+    const current = appointment.prescription;
+    if (current?.version) {
+      appointment.prescriptionRevisions.push(current.toObject());
+    }
+
+    const allergyWarnings = PrescriptionService.checkAllergies(medications, patient?.allergies);
+
+    appointment.prescription = {
+      medications,
+      notes,
+      version: (current?.version || 0) + 1,
+      issuedBy: user._id,
+      issuedAt: new Date(),
+      amendmentReason,
+      allergyWarnings
+    };
+
+    return allergyWarnings;
+  }
+}
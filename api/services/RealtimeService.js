@@ -0,0 +1,185 @@
+// services/RealtimeService.js
+import { NotificationService } from './NotificationService.js';
+import { SessionService } from './SessionService.js';
+import { EVENTS, subscribe } from '../../utils/events.js';
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// Status changes pushed to clients, mapped to stream event names
+const STATUS_EVENTS = {
+  confirmed: 'appointment.confirmed',
+  cancelled: 'appointment.cancelled'
+};
+
+// userId -> Set of open responses; each response carries its sessionId in res.locals
+const clients = new Map();
+let nextEventId = 1;
+
+const summarize = (appointment) => ({
+  id: appointment._id,
+  appointmentId: appointment.appointmentId,
+  status: appointment.status,
+  appointmentDate: appointment.appointmentDate,
+  appointmentTime: appointment.appointmentTime,
+  duration: appointment.duration,
+  doctor: appointment.doctor?._id || appointment.doctor,
+  patient: appointment.patient?._id || appointment.patient
+});
+
+export class RealtimeService {
+  /**
+   * Register an open Server-Sent Events response for a user
+   * @param {string} userId - Authenticated user ID
+   * @param {Object} res - Express response kept open for the stream
+   * @param {Object} options - { expiresAt, sessionId }
+   *   expiresAt: when the access token expires; the stream is closed then
+   *   sessionId: session the stream belongs to; the stream is closed when it is revoked
+   */
+  static addClient(userId, res, { expiresAt = null, sessionId = null } = {}) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    res.locals.sessionId = sessionId?.toString() || null;
+
+    if (!clients.has(userId)) {
+      clients.set(userId, new Set());
+    }
+    clients.get(userId).add(res);
+
+    // Revocations are pushed through SESSIONS_REVOKED; the heartbeat re-check also catches
+    // sessions revoked by another instance
+    const heartbeat = setInterval(async () => {
+      const active = !sessionId || await SessionService.isActive(sessionId).catch(() => true);
+      if (res.writableEnded) return;
+
+      if (!active) {
+        RealtimeService.close(res, 'session.revoked', {});
+        return;
+      }
+      res.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL);
+
+    const expiry = expiresAt
+      ? setTimeout(() => RealtimeService.close(res, 'session.expired', { expiresAt }),
+          Math.max(0, expiresAt.getTime() - Date.now()))
+      : null;
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      if (expiry) clearTimeout(expiry);
+
+      const userClients = clients.get(userId);
+      userClients?.delete(res);
+      if (userClients?.size === 0) {
+        clients.delete(userId);
+      }
+    });
+  }
+
+  /**
+   * Write a single event to a stream
+   */
+  static send(res, event, data) {
+    res.write(`id: ${nextEventId++}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Send a final event and end a stream
+   */
+  static close(res, event, data) {
+    if (res.writableEnded) return;
+    RealtimeService.send(res, event, data);
+    res.end();
+  }
+
+  /**
+   * End the open streams of revoked sessions
+   */
+  static closeSessions(userId, sessionIds, reason) {
+    const userClients = clients.get(userId.toString());
+    if (!userClients) return;
+
+    const revoked = new Set(sessionIds.map(String));
+    for (const res of userClients) {
+      if (revoked.has(res.locals.sessionId)) {
+        RealtimeService.close(res, 'session.revoked', { reason });
+      }
+    }
+  }
+
+  /**
+   * Push an event to every open stream of a user
+   */
+  static publish(userId, event, data) {
+    const userClients = clients.get(userId.toString());
+    if (!userClients) return;
+
+    for (const res of userClients) {
+      RealtimeService.send(res, event, data);
+    }
+  }
+
+  /**
+   * Push an appointment event to its doctor and patient
+   */
+  static async publishToParties(appointment, event, data) {
+    const parties = await NotificationService.getAppointmentParties(appointment);
+
+    for (const party of parties) {
+      RealtimeService.publish(party.user, event, data);
+    }
+  }
+
+  /**
+   * Number of open streams, for health reporting
+   */
+  static getConnectionCount() {
+    let count = 0;
+    for (const userClients of clients.values()) {
+      count += userClients.size;
+    }
+    return count;
+  }
+
+  /**
+   * End every open stream, used on shutdown
+   */
+  static closeAll() {
+    for (const userClients of clients.values()) {
+      for (const res of userClients) {
+        res.end();
+      }
+    }
+  }
+
+  /**
+   * Subscribe to domain events; call once at startup
+   */
+  static register() {
+    subscribe(EVENTS.APPOINTMENT_BOOKED, ({ appointment }) =>
+      RealtimeService.publishToParties(appointment, 'appointment.created', summarize(appointment)));
+
+    subscribe(EVENTS.APPOINTMENT_STATUS_CHANGED, ({ appointment, from, to, reason }) => {
+      if (!STATUS_EVENTS[to]) return;
+      return RealtimeService.publishToParties(appointment, STATUS_EVENTS[to], {
+        ...summarize(appointment),
+        previousStatus: from,
+        reason
+      });
+    });
+
+    subscribe(EVENTS.APPOINTMENT_RESCHEDULED, ({ appointment, previous }) =>
+      RealtimeService.publishToParties(appointment, 'appointment.rescheduled', {
+        ...summarize(appointment),
+        previous: summarize(previous)
+      }));
+
+    subscribe(EVENTS.SESSIONS_REVOKED, ({ userId, sessionIds, reason }) =>
+      RealtimeService.closeSessions(userId, sessionIds, reason));
+  }
+}
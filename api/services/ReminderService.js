@@ -0,0 +1,147 @@
+// services/ReminderService.js
+import { Appointment } from '../models/Appointment.js';
+import { Reminder } from '../models/Reminder.js';
+import { AvailabilityService } from './AvailabilityService.js';
+import { createChannels } from './channels/index.js';
+import { REMINDER_POLICY } from '../../config.js';
+
+const REMINDABLE_STATUSES = ['scheduled', 'confirmed'];
+
+const describeTimeUntil = (minutes) => {
+  if (minutes >= 90) return `${Math.round(minutes / 60)} hours`;
+  if (minutes >= 60) return '1 hour';
+  return `${Math.max(1, minutes)} minute${minutes > 1 ? 's' : ''}`;
+};
+
+export class ReminderService {
+  static channels = null;
+
+  static getChannels() {
+    if (!ReminderService.channels) {
+      ReminderService.channels = createChannels(REMINDER_POLICY.channels);
+    }
+    return ReminderService.channels;
+  }
+
+  /**
+   * Replace the delivery channels (e.g. with a ConsoleChannel in tests)
+   */
+  static setChannels(channels) {
+    ReminderService.channels = channels;
+  }
+
+  /**
+   * Find appointments due for the reminder at `offset` minutes
+   * Only appointments between the next smaller offset and this one qualify, so after
+   * downtime a patient gets the most relevant reminder rather than every missed one.
+   */
+  static async findDue(offset, smallerOffset, now = new Date()) {
+    return Appointment.find({
+      status: { $in: REMINDABLE_STATUSES },
+      appointmentDate: {
+        $gt: new Date(now.getTime() + smallerOffset * 60000),
+        $lte: new Date(now.getTime() + offset * 60000)
+      }
+    })
+      .populate({ path: 'patient', select: 'phoneNumber user', populate: { path: 'user', select: 'name email' } })
+      .populate({ path: 'doctor', select: 'doctorId', populate: { path: 'user', select: 'name' } });
+  }
+
+  /**
+   * Build the reminder text for an appointment
+   * The lead time is the real time left, which can be less than the offset after downtime.
+   */
+  static buildMessage(appointment, now = new Date()) {
+    const minutesUntil = Math.round((appointment.appointmentDate.getTime() - now.getTime()) / 60000);
+    const when = `${AvailabilityService.toDateString(appointment.appointmentDate)} at ${appointment.appointmentTime}`;
+    const doctorName = appointment.doctor?.user?.name || 'your doctor';
+
+    return {
+      subject: `Reminder: appointment ${appointment.appointmentId} in ${describeTimeUntil(minutesUntil)}`,
+      text: `Hello ${appointment.patient?.user?.name || ''}, this is a reminder of your appointment `
+        + `${appointment.appointmentId} with ${doctorName} on ${when}.`
+    };
+  }
+
+  /**
+   * Claim a reminder for sending
+   * New reminders, failed ones with attempts left and claims that never finished can be
+   * claimed; the status-conditional update lets only one process win.
+   * @returns {Object|null} Claimed reminder, or null when sent, skipped, in flight or given up
+   */
+  static async claim(appointment, offset, channel, now = new Date(), policy = REMINDER_POLICY) {
+    const key = { appointment: appointment._id, offsetMinutes: offset, channel: channel.name };
+
+    // Make sure the record exists; concurrent upserts on the unique key are retried by MongoDB
+    await Reminder.updateOne(key, { $setOnInsert: { status: 'pending', attempts: 0 } }, { upsert: true });
+
+    return Reminder.findOneAndUpdate(
+      {
+        ...key,
+        $or: [
+          { status: 'pending', claimedAt: null },
+          { status: 'pending', claimedAt: { $lt: new Date(now.getTime() - policy.claimTimeoutMinutes * 60000) } },
+          { status: 'failed', attempts: { $lt: policy.maxAttempts } }
+        ]
+      },
+      { $set: { status: 'pending', claimedAt: now }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Send one reminder through one channel, claiming it first so it is never sent twice
+   * @returns {string|null} Resulting status, or null when already handled
+   */
+  static async deliver(appointment, offset, channel, now = new Date()) {
+    const reminder = await ReminderService.claim(appointment, offset, channel, now);
+    if (!reminder) return null;
+
+    const recipient = {
+      name: appointment.patient?.user?.name,
+      email: appointment.patient?.user?.email,
+      phoneNumber: appointment.patient?.phoneNumber
+    };
+
+    let update;
+    if (!channel.canDeliver(recipient)) {
+      update = { status: 'skipped', error: 'No contact details for channel' };
+    } else {
+      try {
+        await channel.send(recipient, ReminderService.buildMessage(appointment, now));
+        update = { status: 'sent', sentAt: new Date() };
+      } catch (error) {
+        update = { status: 'failed', error: error.message };
+      }
+    }
+
+    await Reminder.updateOne({ _id: reminder._id }, { $set: update });
+
+    return update.status;
+  }
+
+  /**
+   * Send all reminders that are due now
+   * @returns {Object} Counts per status
+   */
+  static async run(now = new Date()) {
+    const offsets = REMINDER_POLICY.offsetsMinutes;
+    const channels = ReminderService.getChannels();
+    const summary = { sent: 0, failed: 0, skipped: 0 };
+
+    for (let index = 0; index < offsets.length; index++) {
+      const offset = offsets[index];
+      const smallerOffset = offsets[index + 1] || 0;
+      const appointments = await ReminderService.findDue(offset, smallerOffset, now);
+
+      for (const appointment of appointments) {
+        for (const channel of channels) {
+          const status = await ReminderService.deliver(appointment, offset, channel, now);
+          if (status) summary[status]++;
+        }
+      }
+    }
+
+    return summary;
+  }
+}
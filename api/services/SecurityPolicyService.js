@@ -0,0 +1,54 @@
+// services/SecurityPolicyService.js
+import { SecurityPolicy } from '../models/SecurityPolicy.js';
+import { AUTH_POLICY } from '../../config.js';
+
+// The policy is read on every authenticated request, so keep it briefly in memory
+const CACHE_TTL = 30 * 1000;
+
+let cached = null;
+let cachedAt = 0;
+
+export class SecurityPolicyService {
+  /**
+   * Current policy, falling back to configuration until an admin saves one
+   * @returns {Object} { twoFactorRequiredRoles, updatedBy, updatedAt }
+   */
+  static async get() {
+    if (cached && Date.now() - cachedAt < CACHE_TTL) {
+      return cached;
+    }
+
+    const policy = await SecurityPolicy.findOne({ key: 'default' }).lean();
+
+    cached = {
+      twoFactorRequiredRoles: policy ? policy.twoFactorRequiredRoles : AUTH_POLICY.twoFactorRequiredRoles,
+      updatedBy: policy?.updatedBy || null,
+      updatedAt: policy?.updatedAt || null
+    };
+    cachedAt = Date.now();
+
+    return cached;
+  }
+
+  /**
+   * Save policy changes made by an admin
+   */
+  static async update(changes, actor) {
+    await SecurityPolicy.findOneAndUpdate(
+      { key: 'default' },
+      { $set: { ...changes, updatedBy: actor._id } },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    cached = null;
+    return SecurityPolicyService.get();
+  }
+
+  /**
+   * Whether members of a role must use two-factor authentication
+   */
+  static async requiresTwoFactor(role) {
+    const policy = await SecurityPolicyService.get();
+    return policy.twoFactorRequiredRoles.includes(role);
+  }
+}
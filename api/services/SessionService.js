@@ -0,0 +1,162 @@
+// services/SessionService.js
+import crypto from 'crypto';
+import { Session } from '../models/Session.js';
+import { generateToken, generateRefreshToken } from '../../middleware/auth.js';
+import { UnauthorizedError, NotFoundError } from '../../utils/errorHandler.js';
+import { eventBus, EVENTS } from '../../utils/events.js';
+
+const SESSION_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days, matches refresh token expiry
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+export class SessionService {
+  /**
+   * Start a session and issue its first token pair
+   * @param {Object} user - Authenticated user
+   * @param {Object} req - Request, for device and IP metadata
+   * @returns {Object} { session, accessToken, refreshToken }
+   */
+  static async create(user, req) {
+    const session = new Session({
+      user: user._id,
+      userAgent: req.get('user-agent')?.slice(0, 500),
+      ip: req.ip,
+      expiresAt: new Date(Date.now() + SESSION_TTL),
+      tokenHash: 'pending'
+    });
+
+    const refreshToken = generateRefreshToken(user._id, session._id, crypto.randomUUID());
+    session.tokenHash = hashToken(refreshToken);
+    await session.save();
+
+    return {
+      session,
+      accessToken: generateToken(user._id, session._id),
+      refreshToken
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair
+   * A token that is not the latest of its session revokes the whole session.
+   * @param {string} refreshToken - Presented refresh token (signature already verified)
+   * @param {Object} payload - Decoded refresh token
+   * @param {Object} req - Request, for device and IP metadata
+   * @returns {Object} { session, accessToken, refreshToken }
+   */
+  static async rotate(refreshToken, payload, req) {
+    if (!payload.sid) {
+      throw new UnauthorizedError('Refresh token is no longer supported, please log in again');
+    }
+
+    const nextToken = generateRefreshToken(payload.userId, payload.sid, crypto.randomUUID());
+
+    // Compare-and-swap on the token hash so concurrent refreshes cannot both succeed
+    const session = await Session.findOneAndUpdate(
+      {
+        _id: payload.sid,
+        user: payload.userId,
+        tokenHash: hashToken(refreshToken),
+        revokedAt: null
+      },
+      {
+        $set: {
+          tokenHash: hashToken(nextToken),
+          lastUsedAt: new Date(),
+          ip: req.ip,
+          expiresAt: new Date(Date.now() + SESSION_TTL)
+        },
+        $inc: { rotationCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const existing = await Session.findById(payload.sid);
+
+      if (existing && !existing.revokedAt) {
+        // Valid signature but not the latest token: it was used before
+        existing.revokedAt = new Date();
+        existing.revokedReason = 'token-reuse';
+        await existing.save();
+        eventBus.emit(EVENTS.SESSIONS_REVOKED, {
+          userId: existing.user,
+          sessionIds: [existing._id],
+          reason: existing.revokedReason
+        });
+        throw new UnauthorizedError('Refresh token reuse detected, session revoked');
+      }
+
+      throw new UnauthorizedError('Session has expired or been revoked');
+    }
+
+    return {
+      session,
+      accessToken: generateToken(payload.userId, session._id),
+      refreshToken: nextToken
+    };
+  }
+
+  /**
+   * Check whether a session can still be used
+   */
+  static async isActive(sessionId) {
+    const session = await Session.findOne({ _id: sessionId, revokedAt: null }).select('expiresAt');
+    return Boolean(session && session.expiresAt > new Date());
+  }
+
+  /**
+   * List active sessions of a user
+   */
+  static async list(userId) {
+    return Session.find({
+      user: userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+      .select('userAgent ip createdAt lastUsedAt expiresAt')
+      .sort({ lastUsedAt: -1 });
+  }
+
+  /**
+   * Revoke one session of a user
+   */
+  static async revoke(userId, sessionId, reason = 'user-revoked') {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, user: userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+
+    if (!session) {
+      throw new NotFoundError('Session');
+    }
+
+    eventBus.emit(EVENTS.SESSIONS_REVOKED, { userId, sessionIds: [session._id], reason });
+
+    return session;
+  }
+
+  /**
+   * Revoke all sessions of a user, optionally keeping one
+   * @returns {number} Sessions revoked
+   */
+  static async revokeAll(userId, reason = 'user-revoked', exceptSessionId = null) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    // Resolve the IDs first so the streams of exactly these sessions can be closed
+    const sessionIds = await Session.find(filter).distinct('_id');
+    if (sessionIds.length === 0) return 0;
+
+    const result = await Session.updateMany({ _id: { $in: sessionIds }, revokedAt: null }, {
+      $set: { revokedAt: new Date(), revokedReason: reason }
+    });
+
+    eventBus.emit(EVENTS.SESSIONS_REVOKED, { userId, sessionIds, reason });
+
+    return result.modifiedCount;
+  }
+}
@@ -0,0 +1,87 @@
+// services/SlotReservationService.js
+import { SlotReservation } from '../models/SlotReservation.js';
+
+const BLOCK_MINUTES = 5;
+const BLOCK_MS = BLOCK_MINUTES * 60000;
+
+export class SlotReservationService {
+  /**
+   * Split [start, start + duration) into reservation block starts
+   * Start is floored and end is ceiled to the block grid.
+   */
+  static getBlocks(start, duration) {
+    const first = Math.floor(start.getTime() / BLOCK_MS) * BLOCK_MS;
+    const last = Math.ceil((start.getTime() + duration * 60000) / BLOCK_MS) * BLOCK_MS;
+    const blocks = [];
+
+    for (let time = first; time < last; time += BLOCK_MS) {
+      blocks.push(new Date(time));
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Atomically reserve a doctor's time for an appointment
+   * Blocks are inserted in ascending order, so of two overlapping requests
+   * the one that claims the first shared block wins and the other stops there.
+   * @param {ObjectId} doctorId - Doctor reference
+   * @param {Date} start - Appointment start
+   * @param {number} duration - Appointment length in minutes
+   * @param {ObjectId} appointmentId - Appointment holding the reservation
+   * @param {Object} options - { transferFrom } appointment being replaced; its blocks in the
+   *   new interval are taken over instead of conflicting, and handed back on failure
+   * @returns {boolean} Whether the whole interval was reserved
+   */
+  static async reserve(doctorId, start, duration, appointmentId, { transferFrom = null } = {}) {
+    const blockStarts = SlotReservationService.getBlocks(start, duration);
+    const taken = new Set();
+
+    if (transferFrom) {
+      await SlotReservation.updateMany(
+        { doctor: doctorId, appointment: transferFrom, blockStart: { $in: blockStarts } },
+        { $set: { appointment: appointmentId, transferredFrom: transferFrom } }
+      );
+
+      const transferred = await SlotReservation.find({ appointment: appointmentId }).distinct('blockStart');
+      transferred.forEach(blockStart => taken.add(blockStart.getTime()));
+    }
+
+    const blocks = blockStarts
+      .filter(blockStart => !taken.has(blockStart.getTime()))
+      .map(blockStart => ({
+        doctor: doctorId,
+        blockStart,
+        appointment: appointmentId,
+        expireAt: new Date(blockStart.getTime() + BLOCK_MS)
+      }));
+
+    try {
+      await SlotReservation.insertMany(blocks, { ordered: true });
+      return true;
+    } catch (error) {
+      // Roll back whatever was inserted before the conflicting block
+      await SlotReservationService.release(appointmentId, { returnTo: transferFrom });
+
+      if (error.code === 11000) {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Release all blocks held by an appointment
+   * @param {Object} options - { returnTo } hand blocks taken over from this appointment back to it
+   */
+  static async release(appointmentId, { returnTo = null } = {}) {
+    if (returnTo) {
+      await SlotReservation.updateMany(
+        { appointment: appointmentId, transferredFrom: returnTo },
+        { $set: { appointment: returnTo }, $unset: { transferredFrom: 1 } }
+      );
+    }
+
+    await SlotReservation.deleteMany({ appointment: appointmentId });
+  }
+}
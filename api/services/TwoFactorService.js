@@ -0,0 +1,263 @@
+// services/TwoFactorService.js
+import crypto from 'crypto';
+import { User } from '../models/User.js';
+import { AUTH_POLICY } from '../../config.js';
+import { AppError, ConflictError, UnauthorizedError } from '../../utils/errorHandler.js';
+
+// RFC 6238 defaults understood by all common authenticator apps
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30;
+// Accept codes one step either side to absorb clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = '';
+  for (const char of input.replace(/=+$/, '').toUpperCase()) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+export class TwoFactorService {
+  /**
+   * Load a user together with their two-factor secrets
+   */
+  static async loadUser(userId) {
+    return User.findById(userId).select(SECRET_FIELDS);
+  }
+
+  /**
+   * Generate a new random base32 secret
+   */
+  static generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Build the otpauth:// URI encoded into enrolment QR codes
+   */
+  static otpauthUri(secret, accountName) {
+    const issuer = AUTH_POLICY.totpIssuer;
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Code for a time step (RFC 4226 HOTP over the step counter)
+   */
+  static generateCode(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+  }
+
+  static currentStep(time = Date.now()) {
+    return Math.floor(time / 1000 / TOTP_PERIOD);
+  }
+
+  /**
+   * Find the time step a code belongs to
+   * @param {number} [lastUsedStep] - Steps up to this one are rejected as replays
+   * @returns {number|null} Matching step, or null when the code is invalid
+   */
+  static matchStep(secret, code, lastUsedStep = -1) {
+    if (!/^\d{6}$/.test(String(code))) return null;
+
+    const current = TwoFactorService.currentStep();
+    for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+      if (step <= lastUsedStep) continue;
+
+      const expected = Buffer.from(TwoFactorService.generateCode(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Generate recovery codes
+   * @returns {Object} { codes, records } - Codes to show once, hashed records to store
+   */
+  static generateRecoveryCodes() {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return {
+      codes,
+      records: codes.map(code => ({ hash: hashRecoveryCode(code) }))
+    };
+  }
+
+  /**
+   * Start enrolment with a fresh pending secret
+   * @returns {Object} { secret, otpauthUri }
+   */
+  static async beginEnrolment(userId) {
+    const user = await TwoFactorService.loadUser(userId);
+
+    if (user.twoFactor?.enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = TwoFactorService.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    return {
+      secret,
+      otpauthUri: TwoFactorService.otpauthUri(secret, user.email)
+    };
+  }
+
+  /**
+   * Confirm enrolment with a code from the authenticator app
+   * @returns {string[]} Recovery codes, shown to the user only once
+   */
+  static async confirmEnrolment(userId, code) {
+    const user = await TwoFactorService.loadUser(userId);
+
+    if (user.twoFactor?.enabled) {
+      throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      throw new AppError('Start two-factor setup before confirming it', 400, 'TWO_FACTOR_NOT_STARTED');
+    }
+
+    const step = TwoFactorService.matchStep(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      throw new UnauthorizedError('Invalid authentication code');
+    }
+
+    const { codes, records } = TwoFactorService.generateRecoveryCodes();
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = records;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    return codes;
+  }
+
+  /**
+   * Check a TOTP code or an unused recovery code for a user with 2FA enabled
+   * Accepted codes are burnt so they cannot be used again.
+   * @returns {boolean} Whether the code was accepted
+   */
+  static async verify(user, { code, recoveryCode }) {
+    if (!user.twoFactor?.enabled) return false;
+
+    if (code) {
+      const step = TwoFactorService.matchStep(
+        user.twoFactor.secret,
+        code,
+        user.twoFactor.lastUsedStep ?? -1
+      );
+      if (step === null) return false;
+
+      // Conditional update so two requests cannot both use the same step
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $lt: step } },
+            { 'twoFactor.lastUsedStep': { $exists: false } }
+          ]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    if (recoveryCode) {
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          'twoFactor.recoveryCodes': {
+            $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null }
+          }
+        },
+        { $set: { 'twoFactor.recoveryCodes.$.usedAt': new Date() } }
+      );
+      return result.modifiedCount === 1;
+    }
+
+    return false;
+  }
+
+  /**
+   * Replace all recovery codes
+   * @returns {string[]} New recovery codes
+   */
+  static async regenerateRecoveryCodes(user) {
+    const { codes, records } = TwoFactorService.generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = records;
+    await user.save();
+    return codes;
+  }
+
+  /**
+   * Turn two-factor authentication off and forget the secret
+   */
+  static async disable(user) {
+    user.twoFactor = { enabled: false };
+    await user.save();
+  }
+
+  /**
+   * Unused recovery codes left
+   */
+  static remainingRecoveryCodes(user) {
+    return (user.twoFactor?.recoveryCodes || []).filter(record => !record.usedAt).length;
+  }
+}
@@ -0,0 +1,29 @@
+// services/channels/ConsoleChannel.js
+import { appendFile } from 'fs/promises';
+
+/**
+ * Local stand-in channel for development and tests
+ * Writes to the console, or appends JSON lines to `file` when given.
+ */
+export class ConsoleChannel {
+  constructor({ file = process.env.REMINDER_OUTBOX_FILE } = {}) {
+    this.name = 'console';
+    this.file = file;
+    this.sent = [];
+  }
+
+  canDeliver() {
+    return true;
+  }
+
+  async send(recipient, message) {
+    const entry = { to: recipient, ...message, sentAt: new Date() };
+    this.sent.push(entry);
+
+    if (this.file) {
+      await appendFile(this.file, `${JSON.stringify(entry)}\n`);
+    } else {
+      console.log(`🔔 [reminder] to=${recipient.email || recipient.phoneNumber} ${message.subject}`);
+    }
+  }
+}
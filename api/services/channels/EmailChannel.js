@@ -0,0 +1,19 @@
+// services/channels/EmailChannel.js
+import { Mailer } from '../../../utils/mailer.js';
+
+/**
+ * Delivers messages by email through the application mailer
+ */
+export class EmailChannel {
+  constructor() {
+    this.name = 'email';
+  }
+
+  canDeliver(recipient) {
+    return Boolean(recipient.email);
+  }
+
+  async send(recipient, { subject, text }) {
+    await Mailer.send({ to: recipient.email, subject, text });
+  }
+}
@@ -0,0 +1,54 @@
+// services/channels/SmsChannel.js
+
+/**
+ * Generic HTTP SMS provider adapter
+ * Posts { to, from, message } as JSON to SMS_PROVIDER_URL with a bearer API key.
+ */
+export class HttpSmsProvider {
+  constructor({
+    url = process.env.SMS_PROVIDER_URL,
+    apiKey = process.env.SMS_API_KEY,
+    sender = process.env.SMS_SENDER_ID || 'DaktariHub'
+  } = {}) {
+    this.url = url;
+    this.apiKey = apiKey;
+    this.sender = sender;
+  }
+
+  async send(to, message) {
+    if (!this.url) {
+      throw new Error('SMS_PROVIDER_URL is not configured');
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.apiKey}`
+      },
+      body: JSON.stringify({ to, from: this.sender, message })
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS provider responded with ${response.status}`);
+    }
+  }
+}
+
+/**
+ * Delivers messages by SMS through a provider adapter
+ */
+export class SmsChannel {
+  constructor(provider = new HttpSmsProvider()) {
+    this.name = 'sms';
+    this.provider = provider;
+  }
+
+  canDeliver(recipient) {
+    return Boolean(recipient.phoneNumber);
+  }
+
+  async send(recipient, { text }) {
+    await this.provider.send(recipient.phoneNumber, text);
+  }
+}
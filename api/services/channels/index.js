@@ -0,0 +1,23 @@
+// services/channels/index.js
+import { EmailChannel } from './EmailChannel.js';
+import { SmsChannel } from './SmsChannel.js';
+import { ConsoleChannel } from './ConsoleChannel.js';
+
+const CHANNELS = {
+  email: () => new EmailChannel(),
+  sms: () => new SmsChannel(),
+  console: () => new ConsoleChannel()
+};
+
+/**
+ * Build delivery channels by name
+ * A channel is any object with `name`, `canDeliver(recipient)` and `async send(recipient, message)`.
+ */
+export const createChannels = (names) => names.map(name => {
+  if (!CHANNELS[name]) {
+    throw new Error(`Unknown delivery channel: ${name}`);
+  }
+  return CHANNELS[name]();
+});
+
+export { EmailChannel, SmsChannel, ConsoleChannel };
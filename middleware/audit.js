@@ -0,0 +1,84 @@
+// middleware/audit.js
+import mongoose from 'mongoose';
+import { Appointment } from '../api/models/Appointment.js';
+import { AuditService } from '../api/services/AuditService.js';
+
+/**
+ * Record the request in the audit log once the response has been sent or the client went away
+ * Resolvers receive the request and may be async; they run after the handler,
+ * so anything the handler set on req (e.g. req.patientAccess, req.auditDetails) is available.
+ * @param {string} action - e.g. 'patient.read', 'medical-history.create'
+ * @param {string} resourceType - 'Patient', 'Appointment' or 'Doctor'
+ * @param {Object} resolvers - { resourceId(req), patient(req) }
+ */
+export const audit = (action, resourceType, resolvers = {}) => {
+  return (req, res, next) => {
+    let recorded = false;
+
+    const record = async () => {
+      // 'close' follows 'finish' on a completed response; write one entry per request
+      if (recorded) return;
+      recorded = true;
+
+      // Closed before the response was fully sent: the handler may still have read or changed data
+      const details = res.writableFinished ? req.auditDetails : { ...req.auditDetails, aborted: true };
+
+      try {
+        const [resourceId, patient] = await Promise.all([
+          resolvers.resourceId?.(req) ?? null,
+          resolvers.patient?.(req) ?? null
+        ]);
+
+        await AuditService.recordRequest(req, res, {
+          action,
+          resourceType,
+          resourceId,
+          patient,
+          details
+        });
+      } catch (error) {
+        console.error(`❌ Could not write audit entry for ${action}:`, error.message);
+      }
+    };
+
+    res.on('finish', record);
+    res.on('close', record);
+    next();
+  };
+};
+
+const patientOfAppointment = async (req) => {
+  const { appointmentId } = req.params;
+
+  if (!appointmentId) {
+    // Bookings and lists: the patient is the caller when they act as one
+    return req.user?.profileType === 'patient' ? req.user.profile : null;
+  }
+
+  if (!mongoose.isValidObjectId(appointmentId)) return null;
+  const appointment = await Appointment.findById(appointmentId).select('patient').lean();
+  return appointment?.patient ?? null;
+};
+
+/**
+ * Audit a request on the patient in req.params.id (or the calling patient)
+ */
+export const auditPatient = (action) => audit(action, 'Patient', {
+  resourceId: (req) => req.params.id,
+  patient: (req) => req.params.id ?? (req.user?.profileType === 'patient' ? req.user.profile : null)
+});
+
+/**
+ * Audit a request on the appointment in req.params.appointmentId
+ */
+export const auditAppointment = (action) => audit(action, 'Appointment', {
+  resourceId: (req) => req.params.appointmentId,
+  patient: patientOfAppointment
+});
+
+/**
+ * Audit a request on the doctor in req.params.id
+ */
+export const auditDoctor = (action) => audit(action, 'Doctor', {
+  resourceId: (req) => req.params.id
+});
@@ -1,15 +1,22 @@
 // middleware/auth.js
 import jwt from 'jsonwebtoken';
 import { User } from '../api/models/User.js';
-import { UnauthorizedError, ForbiddenError } from '../utils/errorHandler.js';
+import { Patient } from '../api/models/Patient.js';
+import { Doctor } from '../api/models/Doctor.js';
+import { Session } from '../api/models/Session.js';
+import { AppError, UnauthorizedError, ForbiddenError, NotFoundError } from '../utils/errorHandler.js';
 import { asyncHandler } from '../utils/errorHandler.js';
+import { readRefreshToken } from '../utils/authCookies.js';
+import { SecurityPolicyService } from '../api/services/SecurityPolicyService.js';
+import { PermissionService } from '../api/services/PermissionService.js';
+import { CareTeamService } from '../api/services/CareTeamService.js';
 
 /**
  * Generate JWT token
  */
-export const generateToken = (userId) => {
+export const generateToken = (userId, sessionId = null) => {
   return jwt.sign(
-    { userId },
+    sessionId ? { userId, sid: sessionId.toString() } : { userId },
     process.env.JWT_SECRET || 'your-secret-key',
     { expiresIn: process.env.JWT_EXPIRE || '7d' }
   );
@@ -18,9 +25,9 @@ export const generateToken = (userId) => {
 /**
  * Generate refresh token
  */
-export const generateRefreshToken = (userId) => {
+export const generateRefreshToken = (userId, sessionId, tokenId) => {
   return jwt.sign(
-    { userId, type: 'refresh' },
+    { userId, type: 'refresh', sid: sessionId.toString(), jti: tokenId },
     process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key',
     { expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d' }
   );
@@ -33,6 +40,15 @@ export const verifyToken = (token, secret = process.env.JWT_SECRET || 'your-secr
   return jwt.verify(token, secret);
 };
 
+/**
+ * Whether the session an access token belongs to is still active
+ * Tokens issued before sessions existed carry no sid and are accepted.
+ */
+const isSessionActive = async (decoded) => {
+  if (!decoded.sid) return true;
+  return Boolean(await Session.exists({ _id: decoded.sid, revokedAt: null }));
+};
+
 /**
  * Authentication middleware
  */
@@ -64,8 +80,25 @@ export const authenticate = asyncHandler(async (req, res, next) => {
       throw new UnauthorizedError('User account is deactivated');
     }
 
+    // Tokens tied to a session stop working once it is revoked
+    if (!(await isSessionActive(decoded))) {
+      throw new UnauthorizedError('Session has been revoked');
+    }
+    req.sessionId = decoded.sid;
+
+    // Roles required to use 2FA may only reach the enrolment endpoints until they do
+    if (!user.twoFactor?.enabled && !req.allowPendingTwoFactor &&
+        await SecurityPolicyService.requiresTwoFactor(user.role)) {
+      throw new AppError(
+        'Two-factor authentication must be set up for this account',
+        403,
+        'TWO_FACTOR_ENROLMENT_REQUIRED'
+      );
+    }
+
     // Add user to request object
     req.user = user;
+    req.user.permissions = await PermissionService.getPermissions(user.role);
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
@@ -78,16 +111,57 @@ export const authenticate = asyncHandler(async (req, res, next) => {
 });
 
 /**
- * Authorization middleware - check user roles
+ * Accept the access token from the `access_token` query parameter
+ * Only for endpoints used by clients that cannot set headers (EventSource).
  */
-export const authorize = (...roles) => {
+export const allowQueryToken = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+/**
+ * Let users who still have to enrol in 2FA through authenticate
+ * Only for the endpoints used to set up two-factor authentication.
+ */
+export const allowPendingTwoFactor = (req, res, next) => {
+  req.allowPendingTwoFactor = true;
+  next();
+};
+
+/**
+ * Attach the role profile ID (patient or doctor) to the authenticated user
+ * Sets req.user.profile as a string so it can be compared with references.
+ */
+export const loadProfile = asyncHandler(async (req, res, next) => {
+  if (!req.user) {
+    throw new UnauthorizedError('Authentication required');
+  }
+
+  let profile = null;
+  if (req.user.role === 'patient') {
+    profile = await Patient.findOne({ user: req.user._id }).select('_id');
+  } else if (req.user.role === 'doctor') {
+    profile = await Doctor.findOne({ user: req.user._id }).select('_id');
+  }
+
+  req.user.profile = profile ? profile._id.toString() : null;
+  req.user.profileType = profile ? req.user.role : null;
+  next();
+});
+
+/**
+ * Authorization middleware - require at least one of the permissions
+ */
+export const requirePermission = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       throw new UnauthorizedError('Authentication required');
     }
 
-    if (!roles.includes(req.user.role)) {
-      throw new ForbiddenError(`Access denied. Required roles: ${roles.join(', ')}`);
+    if (!PermissionService.has(req.user, ...permissions)) {
+      throw new ForbiddenError(`Access denied. Required permission: ${permissions.join(' or ')}`);
     }
 
     next();
@@ -95,16 +169,15 @@ export const authorize = (...roles) => {
 };
 
 /**
- * Check if user owns the resource or is admin
+ * Check if user owns the resource or holds the permission to act on anyone's
  */
-export const authorizeOwnerOrAdmin = (resourceUserField = 'user') => {
+export const authorizeOwnerOrPermission = (resourceUserField = 'user', anyPermission = null) => {
   return (req, res, next) => {
     if (!req.user) {
       throw new UnauthorizedError('Authentication required');
     }
 
-    // Admin can access any resource
-    if (req.user.role === 'admin') {
+    if (anyPermission && PermissionService.has(req.user, anyPermission)) {
       return next();
     }
 
@@ -122,8 +195,9 @@ export const authorizeOwnerOrAdmin = (resourceUserField = 'user') => {
 
 /**
  * Middleware to load resource and check ownership
+ * @param {string} [anyPermission] - Permission that grants access to resources of other users
  */
-export const loadResourceAndCheckOwnership = (Model, resourceUserField = 'user') => {
+export const loadResourceAndCheckOwnership = (Model, resourceUserField = 'user', anyPermission = null) => {
   return asyncHandler(async (req, res, next) => {
     const resource = await Model.findById(req.params.id);
     
@@ -134,7 +208,33 @@ export const loadResourceAndCheckOwnership = (Model, resourceUserField = 'user')
     req.resource = resource;
     
     // Apply ownership check
-    authorizeOwnerOrAdmin(resourceUserField)(req, res, next);
+    authorizeOwnerOrPermission(resourceUserField, anyPermission)(req, res, next);
+  });
+};
+
+/**
+ * Load the patient in req.params.id and check the user may act on it
+ * Grants access to the owner, holders of `permission-any` and, for doctors holding
+ * `permission-care-team`, patients they treat, were named by or opened in an emergency.
+ * Requires loadProfile. Sets req.resource and req.patientAccess (see CareTeamService.resolveAccess).
+ * @param {Object} [options] - { withDeleted } to include soft-deleted patients
+ */
+export const loadPatientAndCheckAccess = (permission, { withDeleted = false } = {}) => {
+  return asyncHandler(async (req, res, next) => {
+    const patient = await Patient.findById(req.params.id).setOptions({ withDeleted });
+
+    if (!patient) {
+      throw new NotFoundError('Patient');
+    }
+
+    const access = await CareTeamService.resolveAccess(req.user, patient, permission);
+    if (!access) {
+      throw new ForbiddenError('Access denied. This patient is not in your care');
+    }
+
+    req.resource = patient;
+    req.patientAccess = access;
+    next();
   });
 };
 
@@ -155,8 +255,11 @@ export const optionalAuth = asyncHandler(async (req, res, next) => {
       const decoded = verifyToken(token);
       const user = await User.findById(decoded.userId).select('-password');
       
-      if (user && user.isActive) {
+      // A revoked session counts as signed out, as it does for authenticate
+      if (user && user.isActive && await isSessionActive(decoded)) {
         req.user = user;
+        req.user.permissions = await PermissionService.getPermissions(user.role);
+        req.sessionId = decoded.sid;
       }
     } catch (error) {
       // Silently ignore token errors for optional auth
@@ -170,12 +273,15 @@ export const optionalAuth = asyncHandler(async (req, res, next) => {
  * Refresh token middleware
  */
 export const refreshTokenAuth = asyncHandler(async (req, res, next) => {
-  const { refreshToken } = req.body;
+  // Body for mobile clients, httpOnly cookie plus CSRF header for browsers
+  const presented = readRefreshToken(req);
 
-  if (!refreshToken) {
+  if (!presented) {
     throw new UnauthorizedError('Refresh token is required');
   }
 
+  const { token: refreshToken, source } = presented;
+
   try {
     const decoded = verifyToken(
       refreshToken,
@@ -193,6 +299,9 @@ export const refreshTokenAuth = asyncHandler(async (req, res, next) => {
     }
 
     req.user = user;
+    req.refreshToken = refreshToken;
+    req.refreshTokenPayload = decoded;
+    req.refreshTokenSource = source;
     next();
   } catch (error) {
     if (error.name === 'JsonWebTokenError') {
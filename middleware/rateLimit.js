@@ -0,0 +1,22 @@
+// middleware/rateLimit.js
+import rateLimit from 'express-rate-limit';
+import { LOGIN_PROTECTION } from '../config.js';
+
+/**
+ * Stricter per-IP limiter for login, registration and password endpoints
+ * Counted separately from the global /api/ limiter.
+ */
+export const authLimiter = rateLimit({
+  windowMs: LOGIN_PROTECTION.authWindowMs,
+  limit: LOGIN_PROTECTION.authMaxRequests,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    success: false,
+    message: 'Too many authentication attempts from this IP, please try again later.',
+    error: {
+      type: 'RATE_LIMIT_EXCEEDED',
+      details: null
+    }
+  }
+});
@@ -0,0 +1,34 @@
+// scripts/rotate-field-keys.js
+import mongoose from 'mongoose';
+import { FieldEncryptionService } from '../api/services/FieldEncryptionService.js';
+
+/**
+ * Re-encrypt sensitive patient and appointment fields with the active key
+ *
+ * Usage: node scripts/rotate-field-keys.js [--status] [--dry-run]
+ *
+ * To rotate, add the new key to FIELD_ENCRYPTION_KEYS, point FIELD_ENCRYPTION_ACTIVE_KEY
+ * at it and restart the API, then run this script. Remove the old key only once
+ * --status reports no documents using it. Running it once after enabling encryption
+ * also encrypts records stored as plaintext before.
+ */
+const args = process.argv.slice(2);
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/daktarihub');
+
+  try {
+    const result = args.includes('--status')
+      ? await FieldEncryptionService.status()
+      : await FieldEncryptionService.rotate({ dryRun: args.includes('--dry-run') });
+
+    console.log(JSON.stringify(result, null, 2));
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Key rotation failed:', error.message);
+  process.exit(1);
+});
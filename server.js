@@ -13,11 +13,34 @@ import { globalErrorHandler, notFound } from './utils/errorHandler.js';
 // Import routes
 import authRoutes from './api/routes/AuthRoute.js';
 import patientRoutes from './api/routes/PatientRoute.js';
+import doctorRoutes from './api/routes/DoctorRoute.js';
 import appointmentRoutes from './api/routes/AppointmentRoute.js';
+import notificationRoutes from './api/routes/NotificationRoute.js';
+import eventRoutes from './api/routes/EventRoute.js';
+import roleRoutes from './api/routes/RoleRoute.js';
+import auditRoutes from './api/routes/AuditRoute.js';
+
+// Import services
+import { NotificationService } from './api/services/NotificationService.js';
+import { RealtimeService } from './api/services/RealtimeService.js';
+import { ReminderService } from './api/services/ReminderService.js';
+import { AppointmentSweeperService } from './api/services/AppointmentSweeperService.js';
+import { PatientRetentionService } from './api/services/PatientRetentionService.js';
+import { scheduler } from './utils/scheduler.js';
+import { JOBS_ENABLED, REMINDER_POLICY, SWEEPER_POLICY, RETENTION_POLICY } from './config.js';
 
 // Load environment variables
 config();
 
+// Subscribe event listeners
+NotificationService.register();
+RealtimeService.register();
+
+// Register background jobs
+scheduler.register('appointment-reminders', REMINDER_POLICY.intervalMs, () => ReminderService.run());
+scheduler.register('appointment-sweeper', SWEEPER_POLICY.intervalMs, () => AppointmentSweeperService.run());
+scheduler.register('patient-retention', RETENTION_POLICY.intervalMs, () => PatientRetentionService.run());
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -70,7 +93,9 @@ app.get('/health', (req, res) => {
     data: {
       timestamp: new Date().toISOString(),
       environment: process.env.NODE_ENV || 'development',
-      version: process.env.npm_package_version || '1.0.0'
+      version: process.env.npm_package_version || '1.0.0',
+      realtimeConnections: RealtimeService.getConnectionCount(),
+      jobs: scheduler.status()
     }
   });
 });
@@ -78,7 +103,12 @@ app.get('/health', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/patients', patientRoutes);
+app.use('/api/doctors', doctorRoutes);
 app.use('/api/appointments', appointmentRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/audit', auditRoutes);
 
 // Welcome route
 app.get('/', (req, res) => {
@@ -92,7 +122,9 @@ app.get('/', (req, res) => {
         auth: '/api/auth',
         patients: '/api/patients',
         doctors: '/api/doctors',
-        appointments: '/api/appointments'
+        appointments: '/api/appointments',
+        notifications: '/api/notifications',
+        events: '/api/events/stream'
       }
     }
   });
@@ -125,6 +157,10 @@ const connectDB = async () => {
 // Graceful shutdown
 const gracefulShutdown = () => {
   console.log('\n🔄 Received shutdown signal, closing server gracefully...');
+
+  // Open event streams would otherwise keep the server from closing
+  RealtimeService.closeAll();
+  scheduler.stop();
   
   server.close(() => {
     console.log('✅ HTTP server closed');
@@ -156,6 +192,12 @@ const startServer = async () => {
       console.log(`❤️  Health Check: http://localhost:${PORT}/health`);
     });
 
+    // Start background jobs once the database is available
+    if (JOBS_ENABLED) {
+      scheduler.start();
+      console.log(`⏰ Background jobs: ${scheduler.status().map(job => job.name).join(', ')}`);
+    }
+
     // Handle process termination
     process.on('SIGTERM', gracefulShutdown);
     process.on('SIGINT', gracefulShutdown);
@@ -0,0 +1,251 @@
+// tests/booking.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Appointment } from '../api/models/Appointment.js';
+import { Doctor } from '../api/models/Doctor.js';
+import { SlotReservation } from '../api/models/SlotReservation.js';
+import { AvailabilityException } from '../api/models/AvailabilityException.js';
+import { BookingService } from '../api/services/BookingService.js';
+import { AvailabilityService } from '../api/services/AvailabilityService.js';
+import { SlotReservationService } from '../api/services/SlotReservationService.js';
+import { AppointmentStatusService } from '../api/services/AppointmentStatusService.js';
+import { connect, clear, disconnect } from './helpers/database.js';
+
+const SYSTEM_ACTOR = { role: 'system' };
+const PARALLEL_REQUESTS = 10;
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * A time a week from now, so it is always in the future and within availability
+ */
+const slot = (hours, minutes = 0) => {
+  const date = new Date();
+  date.setDate(date.getDate() + 7);
+  date.setHours(hours, minutes, 0, 0);
+  return date;
+};
+
+const timeOf = (date) =>
+  `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+const createDoctor = () => Doctor.create({
+  user: new mongoose.Types.ObjectId(),
+  specialization: 'General Practice',
+  qualification: 'MBChB',
+  experience: 5,
+  consultationFee: 100,
+  phoneNumber: '+254700000000',
+  availability: DAYS.map(day => ({ day, startTime: '08:00', endTime: '17:00' }))
+});
+
+const book = (doctor, start, duration = 30) => BookingService.book(doctor, {
+  patient: new mongoose.Types.ObjectId(),
+  appointmentDate: start,
+  appointmentTime: timeOf(start),
+  duration,
+  reasonForVisit: 'Routine consultation',
+  fees: { consultationFee: 100, totalAmount: 100 }
+});
+
+const reschedule = (appointment, doctor, start) => BookingService.reschedule(appointment, doctor, {
+  appointmentDate: start,
+  appointmentTime: timeOf(start)
+}, SYSTEM_ACTOR);
+
+/**
+ * Split settled bookings into the winners and the errors of the losers
+ */
+const settle = async (bookings) => {
+  const results = await Promise.allSettled(bookings);
+
+  return {
+    booked: results.filter(result => result.status === 'fulfilled').map(result => result.value),
+    errors: results.filter(result => result.status === 'rejected').map(result => result.reason)
+  };
+};
+
+const assertSlotUnavailable = (errors) => {
+  for (const error of errors) {
+    assert.equal(error.statusCode, 409, error.message);
+    assert.equal(error.errorType, 'SLOT_UNAVAILABLE');
+  }
+};
+
+describe('BookingService concurrency', () => {
+  let doctor;
+
+  before(connect);
+  after(disconnect);
+
+  beforeEach(async () => {
+    await clear();
+    doctor = await createDoctor();
+  });
+
+  test('only one of many parallel bookings of the same slot succeeds', async () => {
+    const start = slot(10);
+
+    const { booked, errors } = await settle(
+      Array.from({ length: PARALLEL_REQUESTS }, () => book(doctor, start))
+    );
+
+    assert.equal(booked.length, 1);
+    assert.equal(errors.length, PARALLEL_REQUESTS - 1);
+    assertSlotUnavailable(errors);
+
+    assert.equal(await Appointment.countDocuments({ doctor: doctor._id }), 1);
+    // 30 minutes are six 5-minute blocks, all held by the winner
+    assert.equal(await SlotReservation.countDocuments({ appointment: booked[0]._id }), 6);
+    assert.equal(await SlotReservation.countDocuments(), 6);
+  });
+
+  test('overlapping slots that share a 5-minute block cannot both be booked', async () => {
+    // 10:00-10:30 and 10:25-10:55 share the 10:25 block
+    const { booked, errors } = await settle(
+      Array.from({ length: PARALLEL_REQUESTS }, (_, index) =>
+        index % 2 === 0 ? book(doctor, slot(10)) : book(doctor, slot(10, 25))
+      )
+    );
+
+    assert.equal(booked.length, 1);
+    assertSlotUnavailable(errors);
+    assert.equal(await Appointment.countDocuments({ doctor: doctor._id }), 1);
+  });
+
+  test('back-to-back slots do not conflict', async () => {
+    const { booked, errors } = await settle([
+      book(doctor, slot(10)),
+      book(doctor, slot(10, 30))
+    ]);
+
+    assert.equal(errors.length, 0);
+    assert.equal(booked.length, 2);
+  });
+
+  test('parallel bookings of different slots get distinct appointment IDs', async () => {
+    // Back-to-back half hours from 08:00
+    const { booked, errors } = await settle(
+      Array.from({ length: PARALLEL_REQUESTS }, (_, index) =>
+        book(doctor, slot(8 + Math.floor(index / 2), (index % 2) * 30))
+      )
+    );
+
+    assert.equal(errors.length, 0);
+
+    const ids = booked.map(appointment => appointment.appointmentId).sort();
+    const expected = Array.from({ length: PARALLEL_REQUESTS }, (_, index) =>
+      `APT${String(index + 1).padStart(6, '0')}`
+    );
+    assert.deepEqual(ids, expected);
+  });
+
+  test('a released reservation frees the slot for another booking', async () => {
+    const start = slot(11);
+    const appointment = await book(doctor, start);
+
+    await assert.rejects(book(doctor, start), { statusCode: 409, errorType: 'SLOT_UNAVAILABLE' });
+
+    appointment.status = 'cancelled';
+    await appointment.save();
+    await SlotReservationService.release(appointment._id);
+
+    assert.equal(await SlotReservation.countDocuments({ appointment: appointment._id }), 0);
+
+    const rebooked = await book(doctor, start);
+    assert.equal(rebooked.status, 'scheduled');
+  });
+
+  test('cancelling releases the reservation so the slot can be booked again', async () => {
+    const start = slot(11);
+    const appointment = await book(doctor, start);
+
+    await AppointmentStatusService.transition(appointment, 'cancelled', SYSTEM_ACTOR);
+
+    assert.equal(await SlotReservation.countDocuments({ appointment: appointment._id }), 0);
+
+    const rebooked = await book(doctor, start);
+    assert.equal(rebooked.status, 'scheduled');
+  });
+
+  test('rescheduling moves the reservation to the new time', async () => {
+    const original = await book(doctor, slot(12));
+    const newStart = slot(14);
+
+    const replacement = await reschedule(original, doctor, newStart);
+
+    assert.equal(original.status, 'cancelled');
+    assert.equal(await SlotReservation.countDocuments({ appointment: original._id }), 0);
+    assert.equal(await SlotReservation.countDocuments({ appointment: replacement._id }), 6);
+
+    // The old time is free again, the new one is taken
+    await book(doctor, slot(12));
+    await assert.rejects(book(doctor, newStart), { statusCode: 409, errorType: 'SLOT_UNAVAILABLE' });
+  });
+
+  test('rescheduling onto an overlapping time takes over the shared blocks', async () => {
+    const original = await book(doctor, slot(12));
+
+    const replacement = await reschedule(original, doctor, slot(12, 15));
+
+    assert.equal(await SlotReservation.countDocuments({ appointment: original._id }), 0);
+    assert.equal(await SlotReservation.countDocuments({ appointment: replacement._id }), 6);
+    await book(doctor, slot(11, 45));
+    await assert.rejects(book(doctor, slot(12, 30)), { statusCode: 409, errorType: 'SLOT_UNAVAILABLE' });
+  });
+
+  test('a failed reschedule keeps the original on the calendar', async () => {
+    const original = await book(doctor, slot(12));
+    await book(doctor, slot(14));
+
+    await assert.rejects(reschedule(original, doctor, slot(14)), { statusCode: 409, errorType: 'SLOT_UNAVAILABLE' });
+
+    const current = await Appointment.findById(original._id);
+    assert.equal(current.status, 'scheduled');
+    assert.equal(await SlotReservation.countDocuments({ appointment: original._id }), 6);
+    await assert.rejects(book(doctor, slot(12)), { statusCode: 409, errorType: 'SLOT_UNAVAILABLE' });
+  });
+
+  test('only one of two concurrent reschedules of the same appointment applies', async () => {
+    const original = await book(doctor, slot(12));
+    const [first, second] = await Promise.all([
+      Appointment.findById(original._id),
+      Appointment.findById(original._id)
+    ]);
+
+    const { booked, errors } = await settle([
+      reschedule(first, doctor, slot(14)),
+      reschedule(second, doctor, slot(15))
+    ]);
+
+    assert.equal(booked.length, 1);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].statusCode, 409);
+
+    assert.equal(await Appointment.countDocuments({ rescheduledFrom: original._id }), 1);
+    assert.equal((await Appointment.findById(original._id)).status, 'cancelled');
+    assert.equal(await SlotReservation.countDocuments({ appointment: original._id }), 0);
+    assert.equal(await SlotReservation.countDocuments(), 6);
+  });
+
+  test('removing one of two overlapping exceptions keeps the other conflict flag', async () => {
+    const appointment = await book(doctor, slot(10));
+    const block = (start, end) => AvailabilityException.create({
+      doctor: doctor._id,
+      type: 'blocked',
+      start,
+      end
+    });
+
+    const morning = await block(slot(9), slot(12));
+    const meeting = await block(slot(10), slot(11));
+    await AvailabilityService.flagConflictingAppointments(morning);
+    await AvailabilityService.flagConflictingAppointments(meeting);
+
+    await AvailabilityService.clearConflictFlags(meeting);
+
+    const flagged = await Appointment.findById(appointment._id);
+    assert.deepEqual(flagged.availabilityConflicts.map(String), [morning._id.toString()]);
+  });
+});
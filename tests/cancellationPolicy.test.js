@@ -0,0 +1,62 @@
+// tests/cancellationPolicy.test.js
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CancellationPolicyService } from '../api/services/CancellationPolicyService.js';
+
+const POLICY = { cutoffHours: 24, lateCancellationFeePercent: 50, noShowFeePercent: 100 };
+const HOUR = 60 * 60 * 1000;
+
+const appointment = ({ hoursAhead = 48, paymentStatus = 'pending' } = {}) => ({
+  appointmentDate: new Date(Date.now() + hoursAhead * HOUR),
+  fees: { consultationFee: 100, additionalCharges: 0, totalAmount: 100, paymentStatus }
+});
+
+describe('CancellationPolicyService', () => {
+  test('a late cancellation charges the fee without adding it to the total', () => {
+    const target = appointment({ hoursAhead: 2 });
+    const outcome = CancellationPolicyService.apply(target, 'cancelled', 'patient', POLICY);
+
+    assert.equal(outcome.rule, 'late-cancellation');
+    assert.equal(outcome.fee, 50);
+    assert.equal(outcome.amountDue, 50);
+    assert.equal(target.fees.additionalCharges, 0);
+    assert.equal(target.cancellationPolicy.fee, 50);
+  });
+
+  test('a no-show costs the consultation fee once', () => {
+    const target = appointment({ hoursAhead: -1 });
+    const outcome = CancellationPolicyService.apply(target, 'no-show', 'system', POLICY);
+
+    assert.equal(outcome.fee, 100);
+    assert.equal(outcome.amountDue, 100);
+    assert.equal(target.fees.additionalCharges, 0);
+  });
+
+  test('a paid late cancellation is partially refunded', () => {
+    const outcome = CancellationPolicyService.evaluate(
+      appointment({ hoursAhead: 2, paymentStatus: 'paid' }), 'cancelled', 'patient', POLICY
+    );
+
+    assert.equal(outcome.refundAmount, 50);
+    assert.equal(outcome.amountDue, 0);
+    assert.equal(outcome.paymentStatus, 'partially-refunded');
+  });
+
+  test('a paid no-show keeps the payment', () => {
+    const outcome = CancellationPolicyService.evaluate(
+      appointment({ hoursAhead: -1, paymentStatus: 'paid' }), 'no-show', 'system', POLICY
+    );
+
+    assert.equal(outcome.refundAmount, 0);
+    assert.equal(outcome.paymentStatus, 'paid');
+  });
+
+  test('a paid free cancellation is refunded in full', () => {
+    const outcome = CancellationPolicyService.evaluate(
+      appointment({ paymentStatus: 'paid' }), 'cancelled', 'patient', POLICY
+    );
+
+    assert.equal(outcome.refundAmount, 100);
+    assert.equal(outcome.paymentStatus, 'refunded');
+  });
+});
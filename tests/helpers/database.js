@@ -0,0 +1,31 @@
+// tests/helpers/database.js
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+let server = null;
+
+/**
+ * Start an in-memory MongoDB and connect mongoose to it
+ * mongodb-memory-server downloads mongod on first use; set MONGOMS_SYSTEM_BINARY
+ * to use a locally installed mongod instead.
+ */
+export const connect = async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+
+  // Unique indexes must exist before concurrent writes rely on them
+  await Promise.all(Object.values(mongoose.models).map(model => model.init()));
+};
+
+/**
+ * Remove all documents, keeping collections and indexes
+ */
+export const clear = async () => {
+  await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+};
+
+export const disconnect = async () => {
+  await mongoose.disconnect();
+  await server?.stop();
+  server = null;
+};
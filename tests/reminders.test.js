@@ -0,0 +1,108 @@
+// tests/reminders.test.js
+import { after, before, beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { Reminder } from '../api/models/Reminder.js';
+import { ReminderService } from '../api/services/ReminderService.js';
+import { REMINDER_POLICY } from '../config.js';
+import { connect, clear, disconnect } from './helpers/database.js';
+
+const MINUTE = 60 * 1000;
+
+const appointmentIn = (minutes, now = new Date()) => ({
+  _id: new mongoose.Types.ObjectId(),
+  appointmentId: 'APT000001',
+  appointmentDate: new Date(now.getTime() + minutes * MINUTE),
+  appointmentTime: '10:00',
+  patient: { user: { name: 'Jane', email: 'jane@example.com' } }
+});
+
+/**
+ * Channel whose sends fail until `failures` have been used up
+ */
+const flakyChannel = (failures = 0) => ({
+  name: 'test',
+  sent: 0,
+  canDeliver: () => true,
+  async send() {
+    if (failures-- > 0) throw new Error('SMTP unavailable');
+    this.sent++;
+  }
+});
+
+describe('ReminderService.buildMessage', () => {
+  test('states the time actually left rather than the configured offset', () => {
+    const now = new Date();
+
+    assert.match(ReminderService.buildMessage(appointmentIn(1440, now), now).subject, /in 24 hours$/);
+    assert.match(ReminderService.buildMessage(appointmentIn(300, now), now).subject, /in 5 hours$/);
+    assert.match(ReminderService.buildMessage(appointmentIn(60, now), now).subject, /in 1 hour$/);
+    assert.match(ReminderService.buildMessage(appointmentIn(25, now), now).subject, /in 25 minutes$/);
+  });
+});
+
+describe('ReminderService.deliver', () => {
+  before(connect);
+  after(disconnect);
+  beforeEach(clear);
+
+  test('a sent reminder is not sent again', async () => {
+    const appointment = appointmentIn(60);
+    const channel = flakyChannel();
+
+    assert.equal(await ReminderService.deliver(appointment, 60, channel), 'sent');
+    assert.equal(await ReminderService.deliver(appointment, 60, channel), null);
+    assert.equal(channel.sent, 1);
+  });
+
+  test('a failed send is retried until the attempt limit', async () => {
+    const appointment = appointmentIn(60);
+    const channel = flakyChannel(1);
+
+    assert.equal(await ReminderService.deliver(appointment, 60, channel), 'failed');
+    assert.equal(await ReminderService.deliver(appointment, 60, channel), 'sent');
+    assert.equal(channel.sent, 1);
+
+    const reminder = await Reminder.findOne({ appointment: appointment._id });
+    assert.equal(reminder.attempts, 2);
+  });
+
+  test('a reminder that keeps failing is given up after the attempt limit', async () => {
+    const appointment = appointmentIn(60);
+    const channel = flakyChannel(Infinity);
+
+    for (let attempt = 0; attempt < REMINDER_POLICY.maxAttempts; attempt++) {
+      assert.equal(await ReminderService.deliver(appointment, 60, channel), 'failed');
+    }
+    assert.equal(await ReminderService.deliver(appointment, 60, channel), null);
+  });
+
+  test('only one of several parallel deliveries claims the reminder', async () => {
+    const appointment = appointmentIn(60);
+    const channel = flakyChannel();
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => ReminderService.deliver(appointment, 60, channel))
+    );
+
+    assert.equal(results.filter(status => status === 'sent').length, 1);
+    assert.equal(channel.sent, 1);
+  });
+
+  test('a claim left pending by a crash can be taken over after the timeout', async () => {
+    const appointment = appointmentIn(60);
+    const now = new Date();
+
+    await Reminder.create({
+      appointment: appointment._id,
+      offsetMinutes: 60,
+      channel: 'test',
+      status: 'pending',
+      attempts: 1,
+      claimedAt: new Date(now.getTime() - (REMINDER_POLICY.claimTimeoutMinutes + 1) * MINUTE)
+    });
+
+    assert.ok(await ReminderService.claim(appointment, 60, flakyChannel(), now));
+    assert.equal(await ReminderService.claim(appointment, 60, flakyChannel(), now), null);
+  });
+});
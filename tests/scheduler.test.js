@@ -0,0 +1,19 @@
+// tests/scheduler.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JobScheduler } from '../utils/scheduler.js';
+
+test('job status reports a failure without its message', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const scheduler = new JobScheduler();
+  scheduler.register('failing', 1000, async () => {
+    throw new Error('connect ECONNREFUSED 10.0.0.5:27017');
+  });
+
+  await scheduler.run('failing');
+  const [status] = scheduler.status();
+
+  assert.equal(status.failing, true);
+  assert.ok(status.lastFailedAt instanceof Date);
+  assert.ok(!JSON.stringify(status).includes('ECONNREFUSED'));
+});
@@ -0,0 +1,85 @@
+// utils/authCookies.js
+import crypto from 'crypto';
+import { AUTH_POLICY } from '../config.js';
+import { ForbiddenError } from './errorHandler.js';
+
+export const REFRESH_COOKIE = 'refreshToken';
+export const CSRF_COOKIE = 'csrfToken';
+export const CSRF_HEADER = 'x-csrf-token';
+export const TOKEN_TRANSPORT_HEADER = 'x-token-transport';
+
+const REFRESH_COOKIE_PATH = '/api/auth';
+const COOKIE_MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days, matches refresh token expiry
+
+const baseOptions = () => ({
+  sameSite: AUTH_POLICY.cookieSameSite,
+  // Browsers reject SameSite=None cookies that are not secure
+  secure: process.env.NODE_ENV === 'production' || AUTH_POLICY.cookieSameSite === 'none',
+  maxAge: COOKIE_MAX_AGE
+});
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Set the httpOnly refresh cookie and a readable CSRF cookie
+ * @returns {string} CSRF token the client must echo in the X-CSRF-Token header
+ */
+export const setAuthCookies = (res, refreshToken) => {
+  const csrfToken = crypto.randomBytes(32).toString('hex');
+
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...baseOptions(),
+    httpOnly: true,
+    path: REFRESH_COOKIE_PATH
+  });
+  res.cookie(CSRF_COOKIE, csrfToken, {
+    ...baseOptions(),
+    httpOnly: false,
+    path: '/'
+  });
+
+  return csrfToken;
+};
+
+/**
+ * Remove both auth cookies
+ */
+export const clearAuthCookies = (res) => {
+  res.clearCookie(REFRESH_COOKIE, { path: REFRESH_COOKIE_PATH });
+  res.clearCookie(CSRF_COOKIE, { path: '/' });
+};
+
+/**
+ * Read the refresh token from the request body (mobile) or the cookie (browser)
+ * Cookie-borne tokens must come with a CSRF header matching the CSRF cookie.
+ * @returns {Object|null} { token, source } or null when no token was sent
+ */
+export const readRefreshToken = (req) => {
+  if (req.body?.refreshToken) {
+    return { token: req.body.refreshToken, source: 'body' };
+  }
+
+  const token = req.cookies?.[REFRESH_COOKIE];
+  if (!token) {
+    return null;
+  }
+
+  const cookieCsrf = req.cookies?.[CSRF_COOKIE];
+  const headerCsrf = req.get(CSRF_HEADER);
+
+  if (!cookieCsrf || !headerCsrf || !safeEqual(cookieCsrf, headerCsrf)) {
+    throw new ForbiddenError('Missing or invalid CSRF token');
+  }
+
+  return { token, source: 'cookie' };
+};
+
+/**
+ * Whether the client asked for the refresh token in the response body
+ * Mobile clients send "X-Token-Transport: body" as they cannot rely on cookies.
+ */
+export const wantsBodyToken = (req) => req.get(TOKEN_TRANSPORT_HEADER)?.toLowerCase() === 'body';
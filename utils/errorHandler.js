@@ -61,6 +61,20 @@ export class ConflictError extends AppError {
   }
 }
 
+/**
+ * Invalid state transition error class
+ */
+export class InvalidTransitionError extends AppError {
+  constructor(from, to, allowed = []) {
+    super(
+      `Cannot change status from '${from}' to '${to}'`,
+      409,
+      'INVALID_STATUS_TRANSITION',
+      { from, to, allowed }
+    );
+  }
+}
+
 /**
  * Handle Mongoose validation errors
  */
@@ -0,0 +1,32 @@
+// utils/events.js
+import { EventEmitter } from 'events';
+
+/**
+ * Domain events emitted by services
+ * Payloads always carry the acting user as `actor` ({ role: 'system' } for jobs); session
+ * events carry the revocation `reason` instead.
+ */
+export const EVENTS = {
+  APPOINTMENT_BOOKED: 'appointment.booked',
+  APPOINTMENT_STATUS_CHANGED: 'appointment.status-changed',
+  APPOINTMENT_RESCHEDULED: 'appointment.rescheduled',
+  MEDICAL_RECORD_UPDATED: 'medical-record.updated',
+  EMERGENCY_ACCESS_GRANTED: 'emergency-access.granted',
+  SESSIONS_REVOKED: 'sessions.revoked'
+};
+
+/**
+ * In-process event bus shared by the application
+ */
+export const eventBus = new EventEmitter();
+
+/**
+ * Subscribe an async listener; failures are logged instead of crashing the emitter
+ */
+export const subscribe = (event, listener) => {
+  eventBus.on(event, (payload) => {
+    Promise.resolve()
+      .then(() => listener(payload))
+      .catch(error => console.error(`❌ Listener for ${event} failed:`, error.message));
+  });
+};
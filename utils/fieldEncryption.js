@@ -0,0 +1,218 @@
+// utils/fieldEncryption.js
+import crypto from 'crypto';
+import { FIELD_ENCRYPTION } from '../config.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1:';
+const DEV_KEY_ID = 'dev';
+
+// Update operators whose values are written to encrypted paths
+const WRITE_OPERATORS = ['$set', '$setOnInsert', '$push', '$addToSet'];
+
+let keyRing = null;
+
+/**
+ * Load the keys from configuration once
+ * Outside production a fixed development key is used when none is configured.
+ */
+const getKeyRing = () => {
+  if (keyRing) return keyRing;
+
+  const keys = new Map();
+  for (const entry of FIELD_ENCRYPTION.keys) {
+    const [id, encoded] = entry.split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+
+    if (!id || key.length !== 32) {
+      throw new Error(`Invalid field encryption key '${id}': expected "id:<32 bytes in base64>"`);
+    }
+    keys.set(id, key);
+  }
+
+  if (keys.size === 0) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('FIELD_ENCRYPTION_KEYS must be set in production');
+    }
+    console.warn('⚠️ FIELD_ENCRYPTION_KEYS is not set, using the development key');
+    keys.set(DEV_KEY_ID, crypto.createHash('sha256').update('daktarihub-development-field-key').digest());
+  }
+
+  const activeKeyId = FIELD_ENCRYPTION.activeKeyId || [...keys.keys()].pop();
+  if (!keys.has(activeKeyId)) {
+    throw new Error(`Active field encryption key '${activeKeyId}' is not configured`);
+  }
+
+  keyRing = { keys, activeKeyId };
+  return keyRing;
+};
+
+/**
+ * Whether a stored value is ciphertext produced by encryptValue
+ */
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+/**
+ * ID of the key a ciphertext was written with
+ */
+export const keyIdOf = (value) => isEncrypted(value) ? value.slice(PREFIX.length).split(':')[0] : null;
+
+/**
+ * ID of the key new values are encrypted with
+ */
+export const activeKeyId = () => getKeyRing().activeKeyId;
+
+/**
+ * Encrypt a string with the active key; other values are returned unchanged
+ * Format: enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>, all base64.
+ */
+export const encryptValue = (value) => {
+  if (typeof value !== 'string' || isEncrypted(value)) return value;
+
+  const { keys, activeKeyId: keyId } = getKeyRing();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, keys.get(keyId), iv);
+  const data = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+
+  return PREFIX + [keyId, iv, cipher.getAuthTag(), data]
+    .map(part => typeof part === 'string' ? part : part.toString('base64'))
+    .join(':');
+};
+
+/**
+ * Decrypt a value written by encryptValue; plaintext written before encryption passes through
+ */
+export const decryptValue = (value) => {
+  if (!isEncrypted(value)) return value;
+
+  const [keyId, iv, tag, data] = value.slice(PREFIX.length).split(':');
+  const key = getKeyRing().keys.get(keyId);
+
+  if (!key) {
+    throw new Error(`Field encryption key '${keyId}' is not configured`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Apply fn to every value at a dotted path, descending into arrays
+ * Works on raw objects as well as documents and subdocuments.
+ */
+const transformPath = (target, segments, fn) => {
+  if (target === null || target === undefined) return;
+
+  if (Array.isArray(target)) {
+    target.forEach(item => transformPath(item, segments, fn));
+    return;
+  }
+
+  if (typeof target !== 'object') return;
+
+  const [segment, ...rest] = segments;
+  if (rest.length === 0) {
+    const value = target[segment];
+    if (Array.isArray(value)) {
+      value.forEach((item, index) => { value[index] = fn(item); });
+    } else if (value !== undefined && value !== null) {
+      target[segment] = fn(value);
+    }
+    return;
+  }
+
+  transformPath(target[segment], rest, fn);
+};
+
+/**
+ * Apply fn to all encrypted fields of an object
+ */
+export const transformFields = (target, fields, fn) => {
+  for (const field of fields) {
+    transformPath(target, field.split('.'), fn);
+  }
+  return target;
+};
+
+/**
+ * Encrypt values in an update that are written to encrypted paths
+ * Handles plain and positional paths ('allergies.0.notes', 'allergies.$.notes') and whole
+ * objects written to a parent path ({ $push: { allergies: {...} } }).
+ */
+const encryptUpdate = (update, fields) => {
+  const operations = [
+    update,
+    ...WRITE_OPERATORS.map(operator => update[operator]).filter(Boolean)
+  ];
+
+  for (const operation of operations) {
+    for (const key of Object.keys(operation)) {
+      if (key.startsWith('$')) continue;
+
+      const path = key.split('.').filter(segment => !/^(\d+|\$(\[\w*\])?)$/.test(segment)).join('.');
+
+      for (const field of fields) {
+        if (field === path) {
+          operation[key] = Array.isArray(operation[key])
+            ? operation[key].map(encryptValue)
+            : encryptValue(operation[key]);
+        } else if (field.startsWith(`${path}.`)) {
+          // $push/$addToSet may wrap the values in { $each: [...] }
+          const value = operation[key]?.$each ?? operation[key];
+          transformPath(value, field.slice(path.length + 1).split('.'), encryptValue);
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Mongoose plugin for transparent encryption of string fields at rest
+ * Values are encrypted after validation on save and decrypted when documents are loaded,
+ * so application code only ever sees plaintext. Encrypted fields cannot be queried or
+ * sorted on; all other fields behave as before.
+ * @param {Object} options - { fields: ['bloodGroup', 'allergies.notes', ...] }
+ */
+export const fieldEncryption = (schema, { fields }) => {
+  schema.statics.encryptedFields = fields;
+
+  // Runs on the raw document before it is cast, so no path is marked as modified
+  schema.pre('init', function(raw) {
+    transformFields(raw, fields, decryptValue);
+  });
+
+  // Validation is itself a pre('save') hook registered first, so it sees plaintext
+  schema.pre('save', function(next) {
+    transformFields(this, fields, encryptValue);
+    next();
+  });
+
+  // Hand the saved document back in plaintext without leaving paths modified
+  schema.post('save', function(doc) {
+    transformFields(doc, fields, decryptValue);
+    for (const path of doc.modifiedPaths()) {
+      doc.unmarkModified(path);
+    }
+  });
+
+  // A failed write (e.g. a duplicate key) must not leave ciphertext in the document either
+  schema.post('save', function(error, doc, next) {
+    transformFields(doc, fields, decryptValue);
+    next(error);
+  });
+
+  // Lean results skip init
+  schema.post(['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete'], function(result) {
+    if (!this.mongooseOptions().lean || !result) return;
+    (Array.isArray(result) ? result : [result]).forEach(doc => transformFields(doc, fields, decryptValue));
+  });
+
+  schema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+    const update = this.getUpdate();
+    if (update && !Array.isArray(update)) {
+      encryptUpdate(update, fields);
+    }
+    next();
+  });
+};
@@ -0,0 +1,83 @@
+// utils/mailer.js
+import nodemailer from 'nodemailer';
+
+/**
+ * SMTP transport backed by nodemailer
+ */
+export class SmtpTransport {
+  constructor(options = {}) {
+    this.transporter = nodemailer.createTransport({
+      host: options.host || process.env.SMTP_HOST || 'localhost',
+      port: Number(options.port || process.env.SMTP_PORT || 587),
+      secure: options.secure ?? process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+
+  async send(message) {
+    return this.transporter.sendMail(message);
+  }
+}
+
+/**
+ * Transport that keeps messages in memory instead of sending them
+ * Used for tests and local development.
+ */
+export class CaptureTransport {
+  constructor({ log = false } = {}) {
+    this.messages = [];
+    this.log = log;
+  }
+
+  async send(message) {
+    const captured = { ...message, capturedAt: new Date() };
+    this.messages.push(captured);
+
+    if (this.log) {
+      console.log(`📧 [mail] to=${message.to} subject="${message.subject}"\n${message.text}`);
+    }
+
+    return captured;
+  }
+
+  clear() {
+    this.messages = [];
+  }
+}
+
+/**
+ * Application mailer with a swappable transport
+ * MAIL_TRANSPORT=smtp (default) or capture.
+ */
+export class Mailer {
+  static transport = null;
+
+  static getTransport() {
+    if (!Mailer.transport) {
+      Mailer.transport = process.env.MAIL_TRANSPORT === 'capture'
+        ? new CaptureTransport({ log: process.env.NODE_ENV === 'development' })
+        : new SmtpTransport();
+    }
+    return Mailer.transport;
+  }
+
+  static setTransport(transport) {
+    Mailer.transport = transport;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text, html }
+   */
+  static async send({ to, subject, text, html }) {
+    return Mailer.getTransport().send({
+      from: process.env.MAIL_FROM || 'DaktariHub <no-reply@daktarihub.com>',
+      to,
+      subject,
+      text,
+      html
+    });
+  }
+}
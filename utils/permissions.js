@@ -0,0 +1,145 @@
+// utils/permissions.js
+
+/**
+ * Every permission the API checks, with a short description for admin tooling.
+ * `-any` variants lift the "only your own records" restriction of the base permission,
+ * `-care-team` variants extend it to patients a doctor is currently treating.
+ */
+export const PERMISSIONS = {
+  // Appointments
+  'appointments:book': 'Book appointments for yourself',
+  'appointments:read': 'View your own appointments',
+  'appointments:read-any': 'View any appointment',
+  'appointments:update-status': 'Change the status of your own appointments',
+  'appointments:update-status-any': 'Change the status of any appointment',
+  'appointments:reschedule': 'Reschedule your own appointments',
+  'appointments:reschedule-any': 'Reschedule any appointment',
+  'appointments:view-reports': 'View appointment reports such as no-shows',
+
+  // Status transitions, checked on top of update-status
+  'appointments:confirm': 'Confirm scheduled appointments',
+  'appointments:start': 'Start confirmed appointments',
+  'appointments:complete': 'Complete appointments in progress',
+  'appointments:cancel': 'Cancel appointments',
+  'appointments:mark-no-show': 'Mark appointments as no-show',
+
+  // Prescriptions and visit summaries
+  'prescriptions:read': 'View prescriptions of your own appointments',
+  'prescriptions:read-any': 'View the prescription of any appointment',
+  'prescriptions:write': 'Write and amend prescriptions for your own appointments',
+
+  // Follow-ups
+  'follow-ups:read': 'View follow-ups you still have to book',
+  'follow-ups:read-overdue': 'View overdue follow-ups of your patients',
+  'follow-ups:book': 'Book follow-ups of your own appointments',
+  'follow-ups:book-any': 'Book the follow-up of any appointment',
+
+  // Patients
+  'patients:create': 'Create your own patient profile',
+  'patients:list': 'List patients in your care',
+  'patients:list-any': 'List all patients',
+  'patients:read': 'View your own patient profile',
+  'patients:read-any': 'View any patient profile',
+  'patients:read-care-team': 'View profiles of patients in your care',
+  'patients:update': 'Update your own patient profile',
+  'patients:update-any': 'Update any patient profile',
+  'patients:delete': 'Delete your own patient profile',
+  'patients:delete-any': 'Delete any patient profile',
+  'patients:restore': 'Restore your own deleted patient profile before it is erased',
+  'patients:restore-any': 'Restore a deleted patient profile before it is erased',
+  'patients:export': 'Export all data stored about you',
+  'patients:export-any': 'Export the data of any patient',
+  'patients:erase': 'Permanently erase your own patient data',
+  'patients:erase-any': 'Permanently erase the data of any patient',
+  'patients:read-medical-history': 'View your own medical history',
+  'patients:read-medical-history-any': 'View the medical history of any patient',
+  'patients:read-medical-history-care-team': 'View the medical history of patients in your care',
+  'patients:update-medical-history': 'Add to your own medical history and allergies',
+  'patients:update-medical-history-any': 'Add to the medical history and allergies of any patient',
+  'patients:refer': 'Refer patients in your care to another doctor',
+  'patients:refer-any': 'Refer any patient to a doctor',
+  'patients:read-access-log': 'See who accessed your own record',
+  'patients:read-access-log-any': 'See who accessed any patient record',
+  'patients:manage-consent': 'Decide who may see parts of your own record',
+  'patients:manage-consent-any': 'Manage the sharing preferences of any patient',
+  'patients:break-glass': 'Open any patient record in an emergency, overriding consent',
+
+  // Doctors
+  'doctors:create': 'Create your own doctor profile',
+  'doctors:create-any': 'Create a doctor profile for another account',
+  'doctors:update': 'Update your own doctor profile',
+  'doctors:update-any': 'Update any doctor profile',
+  'doctors:manage-schedule': 'Manage your own availability and exceptions',
+  'doctors:manage-schedule-any': 'Manage the availability and exceptions of any doctor',
+  'doctors:read-appointments': 'List appointments of your own doctor profile',
+  'doctors:read-appointments-any': 'List appointments of any doctor',
+
+  // Administration
+  'roles:manage': 'Create, change and assign roles',
+  'audit:read': 'Search the audit log and verify its integrity',
+  'security:manage': 'Manage security policy and unlock accounts'
+};
+
+/**
+ * Permissions of the built-in roles. These cannot be changed at runtime.
+ * `system` is the actor used by background jobs.
+ */
+export const BUILT_IN_ROLES = {
+  patient: [
+    'appointments:book',
+    'appointments:read',
+    'appointments:update-status',
+    'appointments:reschedule',
+    'appointments:cancel',
+    'prescriptions:read',
+    'follow-ups:read',
+    'follow-ups:book',
+    'patients:create',
+    'patients:read',
+    'patients:update',
+    'patients:delete',
+    'patients:export',
+    'patients:erase',
+    'patients:read-medical-history',
+    'patients:update-medical-history',
+    'patients:read-access-log',
+    'patients:manage-consent'
+  ],
+  doctor: [
+    'appointments:read',
+    'appointments:update-status',
+    'appointments:reschedule',
+    'appointments:confirm',
+    'appointments:start',
+    'appointments:complete',
+    'appointments:cancel',
+    'appointments:mark-no-show',
+    'prescriptions:read',
+    'prescriptions:write',
+    'follow-ups:read-overdue',
+    'follow-ups:book',
+    'patients:list',
+    'patients:read-care-team',
+    'patients:read-medical-history-care-team',
+    'patients:refer',
+    'patients:break-glass',
+    'doctors:create',
+    'doctors:update',
+    'doctors:manage-schedule',
+    'doctors:read-appointments'
+  ],
+  admin: Object.keys(PERMISSIONS).filter(permission => ![
+    // Admins have no patient or doctor profile of their own to act through
+    'appointments:book',
+    'follow-ups:read',
+    'follow-ups:read-overdue',
+    'patients:create',
+    'patients:break-glass',
+    'prescriptions:write'
+  ].includes(permission)),
+  system: [
+    'appointments:update-status-any',
+    'appointments:cancel',
+    'appointments:mark-no-show'
+  ]
+};
@@ -0,0 +1,80 @@
+// utils/scheduler.js
+
+/**
+ * Minimal in-process interval scheduler
+ * A job never overlaps with itself: a run that is still going skips the next tick.
+ */
+export class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  /**
+   * Register a job
+   * @param {string} name - Unique job name
+   * @param {number} intervalMs - Time between runs
+   * @param {Function} task - Async function to run
+   */
+  register(name, intervalMs, task) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already registered`);
+    }
+
+    this.jobs.set(name, { name, intervalMs, task, timer: null, running: false, lastRun: null, failing: false, lastFailedAt: null });
+  }
+
+  /**
+   * Run a job once now unless it is already running
+   */
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job || job.running) return;
+
+    job.running = true;
+    try {
+      await job.task();
+      job.failing = false;
+    } catch (error) {
+      // The message stays in the logs; status() is served unauthenticated on /health
+      job.failing = true;
+      job.lastFailedAt = new Date();
+      console.error(`❌ Job ${name} failed:`, error.message);
+    } finally {
+      job.running = false;
+      job.lastRun = new Date();
+    }
+  }
+
+  /**
+   * Start all registered jobs
+   */
+  start() {
+    for (const job of this.jobs.values()) {
+      if (job.timer) continue;
+      job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+      job.timer.unref();
+      this.run(job.name);
+    }
+  }
+
+  /**
+   * Stop all registered jobs
+   */
+  stop() {
+    for (const job of this.jobs.values()) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  }
+
+  /**
+   * Job status for health reporting, without error details
+   */
+  status() {
+    return [...this.jobs.values()].map(({ name, intervalMs, running, lastRun, failing, lastFailedAt }) => ({
+      name, intervalMs, running, lastRun, failing, lastFailedAt
+    }));
+  }
+}
+
+export const scheduler = new JobScheduler();
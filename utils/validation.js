@@ -2,6 +2,9 @@
 import { body, param, query, validationResult } from 'express-validator';
 import { ValidationError } from './errorHandler.js';
 
+// Categories of a patient record with their own sharing preferences
+const CONSENT_CATEGORIES = ['medicalHistory', 'allergies', 'prescriptions', 'appointmentNotes'];
+
 /**
  * Handle validation errors middleware
  */
@@ -21,6 +24,15 @@ export const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+/**
+ * Password strength rule
+ */
+const strongPassword = (field) => body(field)
+  .isLength({ min: 6 })
+  .withMessage('Password must be at least 6 characters long')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number');
+
 /**
  * User validation rules
  */
@@ -36,11 +48,7 @@ export const userValidation = {
       .normalizeEmail()
       .withMessage('Please enter a valid email'),
     
-    body('password')
-      .isLength({ min: 6 })
-      .withMessage('Password must be at least 6 characters long')
-      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-      .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    strongPassword('password'),
     
     body('role')
       .isIn(['patient', 'doctor', 'admin'])
@@ -58,6 +66,41 @@ export const userValidation = {
       .withMessage('Password is required')
   ],
   
+  email: [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please enter a valid email')
+  ],
+  
+  token: [
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid token')
+  ],
+  
+  resetPassword: [
+    body('token')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid token'),
+    
+    strongPassword('password')
+  ],
+  
+  sessionId: [
+    param('sessionId')
+      .isMongoId()
+      .withMessage('Invalid session ID')
+  ],
+  
+  userId: [
+    param('userId')
+      .isMongoId()
+      .withMessage('Invalid user ID')
+  ],
+  
   updateProfile: [
     body('name')
       .optional()
@@ -73,6 +116,163 @@ export const userValidation = {
   ]
 };
 
+/**
+ * Two-factor authentication validation rules
+ */
+const totpCode = (field) => body(field)
+  .matches(/^\d{6}$/)
+  .withMessage('Authentication code must be 6 digits');
+
+const codeOrRecoveryCode = [
+  totpCode('code').optional(),
+  
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 11 })
+    .withMessage('Invalid recovery code'),
+  
+  body()
+    .custom(value => Boolean(value?.code || value?.recoveryCode))
+    .withMessage('Authentication code or recovery code is required')
+];
+
+export const twoFactorValidation = {
+  verifyLogin: [
+    body('challengeToken')
+      .isHexadecimal()
+      .isLength({ min: 64, max: 64 })
+      .withMessage('Invalid challenge token'),
+    
+    ...codeOrRecoveryCode
+  ],
+  
+  code: [
+    totpCode('code')
+  ],
+  
+  disable: [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required'),
+    
+    ...codeOrRecoveryCode
+  ],
+  
+  policy: [
+    body('requiredRoles')
+      .isArray()
+      .withMessage('Required roles must be an array'),
+    
+    body('requiredRoles.*')
+      .isString()
+      .withMessage('Roles must be strings')
+  ]
+};
+
+/**
+ * Role validation rules
+ */
+const roleName = (chain) => chain
+  .trim()
+  .toLowerCase()
+  .matches(/^[a-z][a-z0-9-]{1,29}$/)
+  .withMessage('Role name may only contain lowercase letters, digits and dashes');
+
+export const roleValidation = {
+  name: [
+    roleName(param('name'))
+  ],
+  
+  create: [
+    roleName(body('name')),
+    
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+    
+    body('permissions')
+      .isArray()
+      .withMessage('Permissions must be an array'),
+    
+    body('permissions.*')
+      .isString()
+      .withMessage('Permissions must be strings')
+  ],
+  
+  update: [
+    roleName(param('name')),
+    
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+    
+    body('permissions')
+      .optional()
+      .isArray()
+      .withMessage('Permissions must be an array'),
+    
+    body('permissions.*')
+      .isString()
+      .withMessage('Permissions must be strings')
+  ],
+  
+  assign: [
+    param('userId')
+      .isMongoId()
+      .withMessage('Invalid user ID'),
+    
+    roleName(body('role'))
+  ]
+};
+
+/**
+ * Audit log validation rules
+ */
+export const auditValidation = {
+  query: [
+    query('actor')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid actor ID'),
+    
+    query('patient')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid patient ID'),
+    
+    query('action')
+      .optional()
+      .isString()
+      .trim(),
+    
+    query('resourceType')
+      .optional()
+      .isIn(['Patient', 'Appointment', 'Doctor'])
+      .withMessage('Resource type must be Patient, Appointment or Doctor'),
+    
+    query('resourceId')
+      .optional()
+      .isString()
+      .trim(),
+    
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+    
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date')
+  ]
+};
+
 /**
  * Patient validation rules
  */
@@ -125,6 +325,75 @@ export const patientValidation = {
       .optional()
       .matches(/^\+?[\d\s\-\(\)]{10,15}$/)
       .withMessage('Please enter a valid phone number')
+  ],
+  
+  referral: [
+    body('toDoctor')
+      .isMongoId()
+      .withMessage('Invalid doctor ID'),
+    
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason cannot exceed 500 characters'),
+    
+    body('expiresInDays')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Referral must last between 1 and 365 days')
+      .toInt()
+  ],
+  
+  referralId: [
+    param('referralId')
+      .isMongoId()
+      .withMessage('Invalid referral ID')
+  ],
+  
+  consent: [
+    body()
+      .custom(value => Object.keys(value).every(key => CONSENT_CATEGORIES.includes(key)))
+      .withMessage(`Categories must be one of: ${CONSENT_CATEGORIES.join(', ')}`),
+    
+    body(CONSENT_CATEGORIES.map(category => `${category}.treatingDoctors`))
+      .optional()
+      .isBoolean()
+      .withMessage('treatingDoctors must be true or false')
+      .toBoolean(),
+    
+    body(CONSENT_CATEGORIES.map(category => `${category}.emergency`))
+      .optional()
+      .isBoolean()
+      .withMessage('emergency must be true or false')
+      .toBoolean(),
+    
+    body(CONSENT_CATEGORIES.map(category => `${category}.doctors`))
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('doctors must be a list of at most 20 doctor IDs'),
+    
+    body(CONSENT_CATEGORIES.map(category => `${category}.doctors.*`))
+      .isMongoId()
+      .withMessage('Invalid doctor ID')
+  ],
+  
+  emergencyAccess: [
+    body('reason')
+      .trim()
+      .isLength({ min: 10, max: 500 })
+      .withMessage('Reason must be between 10 and 500 characters')
+  ],
+  
+  erasure: [
+    body('password')
+      .optional()
+      .isString()
+      .withMessage('Password must be a string'),
+    
+    body('confirm')
+      .equals('ERASE')
+      .withMessage('Confirm the erasure by sending confirm: "ERASE"')
   ]
 };
 
@@ -167,9 +436,126 @@ export const doctorValidation = {
       .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
       .withMessage('Start time must be in HH:MM format'),
     
+    body('availability.*.endTime')
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('End time must be in HH:MM format'),
+    
+    body('userId')
+      .optional()
+      .isMongoId()
+      .withMessage('Invalid user ID')
+  ],
+  
+  update: [
+    body('specialization')
+      .optional()
+      .trim()
+      .isLength({ min: 2 })
+      .withMessage('Specialization must be at least 2 characters'),
+    
+    body('qualification')
+      .optional()
+      .trim()
+      .isLength({ min: 2 })
+      .withMessage('Qualification must be at least 2 characters'),
+    
+    body('experience')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Experience must be a non-negative number'),
+    
+    body('consultationFee')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Consultation fee must be a non-negative number'),
+    
+    body('phoneNumber')
+      .optional()
+      .matches(/^\+?[\d\s\-\(\)]{10,15}$/)
+      .withMessage('Please enter a valid phone number'),
+    
+    body('availability')
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage('At least one availability slot is required'),
+    
+    body('availability.*.day')
+      .isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
+      .withMessage('Invalid day'),
+    
+    body('availability.*.startTime')
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Start time must be in HH:MM format'),
+    
+    body('availability.*.endTime')
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('End time must be in HH:MM format')
+  ],
+  
+  availability: [
+    body('availability')
+      .isArray({ min: 1 })
+      .withMessage('At least one availability slot is required'),
+    
+    body('availability.*.day')
+      .isIn(['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'])
+      .withMessage('Invalid day'),
+    
+    body('availability.*.startTime')
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Start time must be in HH:MM format'),
+    
     body('availability.*.endTime')
       .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
       .withMessage('End time must be in HH:MM format')
+  ],
+  
+  slots: [
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+    
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date'),
+    
+    query('duration')
+      .optional()
+      .isInt({ min: 15, max: 180 })
+      .withMessage('Duration must be between 15 and 180 minutes')
+  ],
+  
+  exception: [
+    body('type')
+      .isIn(['blocked', 'extra'])
+      .withMessage('Type must be blocked or extra'),
+    
+    body('start')
+      .isISO8601()
+      .withMessage('Start must be a valid date'),
+    
+    body('end')
+      .isISO8601()
+      .withMessage('End must be a valid date'),
+    
+    body('category')
+      .optional()
+      .isIn(['vacation', 'holiday', 'conference', 'sick-leave', 'extended-hours', 'other'])
+      .withMessage('Invalid exception category'),
+    
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Reason cannot exceed 200 characters')
+  ],
+  
+  exceptionId: [
+    param('exceptionId')
+      .isMongoId()
+      .withMessage('Invalid exception ID')
   ]
 };
 
@@ -214,6 +600,43 @@ export const appointmentValidation = {
       .optional()
       .isInt({ min: 15, max: 180 })
       .withMessage('Duration must be between 15 and 180 minutes')
+      .toInt()
+  ],
+  
+  reschedule: [
+    param('appointmentId')
+      .isMongoId()
+      .withMessage('Invalid appointment ID'),
+    
+    body('appointmentDate')
+      .isISO8601()
+      .withMessage('Please enter a valid appointment date')
+      .custom((value) => {
+        const appointmentDate = new Date(value);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        
+        if (appointmentDate < today) {
+          throw new Error('Appointment date cannot be in the past');
+        }
+        return true;
+      }),
+    
+    body('appointmentTime')
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Appointment time must be in HH:MM format'),
+    
+    body('duration')
+      .optional()
+      .isInt({ min: 15, max: 180 })
+      .withMessage('Duration must be between 15 and 180 minutes')
+      .toInt(),
+    
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Reason cannot exceed 200 characters')
   ],
   
   update: [
@@ -226,6 +649,152 @@ export const appointmentValidation = {
       .optional()
       .isLength({ max: 1000 })
       .withMessage('Notes cannot exceed 1000 characters')
+  ],
+  
+  updateStatus: [
+    param('appointmentId')
+      .isMongoId()
+      .withMessage('Invalid appointment ID'),
+    
+    body('status')
+      .isIn(['scheduled', 'confirmed', 'in-progress', 'completed', 'cancelled', 'no-show'])
+      .withMessage('Invalid appointment status'),
+    
+    body('notes')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Notes cannot exceed 1000 characters'),
+    
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Reason cannot exceed 200 characters'),
+    
+    body('followUpRequired')
+      .optional()
+      .isBoolean()
+      .withMessage('followUpRequired must be a boolean')
+      .toBoolean(),
+    
+    body('followUpDate')
+      .if(body('followUpRequired').equals('true'))
+      .isISO8601()
+      .withMessage('Please enter a valid follow-up date')
+      .custom((value) => {
+        if (new Date(value) <= new Date()) {
+          throw new Error('Follow-up date must be in the future');
+        }
+        return true;
+      })
+  ],
+  
+  noShowReport: [
+    query('groupBy')
+      .optional()
+      .isIn(['doctor', 'patient'])
+      .withMessage('groupBy must be doctor or patient'),
+    
+    query('from')
+      .optional()
+      .isISO8601()
+      .withMessage('From must be a valid date'),
+    
+    query('to')
+      .optional()
+      .isISO8601()
+      .withMessage('To must be a valid date'),
+    
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 500 })
+      .withMessage('Limit must be between 1 and 500')
+  ],
+  
+  bookFollowUp: [
+    param('appointmentId')
+      .isMongoId()
+      .withMessage('Invalid appointment ID'),
+    
+    body('appointmentDate')
+      .isISO8601()
+      .withMessage('Please enter a valid appointment date'),
+    
+    body('appointmentTime')
+      .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Appointment time must be in HH:MM format'),
+    
+    body('duration')
+      .optional()
+      .isInt({ min: 15, max: 180 })
+      .withMessage('Duration must be between 15 and 180 minutes')
+      .toInt()
+  ]
+};
+
+/**
+ * Prescription validation rules
+ */
+export const prescriptionValidation = {
+  write: [
+    param('appointmentId')
+      .isMongoId()
+      .withMessage('Invalid appointment ID'),
+    
+    body('medications')
+      .isArray({ min: 1 })
+      .withMessage('At least one medication is required'),
+    
+    body('medications.*.name')
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage('Medication name must be between 2 and 200 characters'),
+    
+    body('medications.*.dosage')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Dosage cannot exceed 100 characters'),
+    
+    body('medications.*.frequency')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Frequency cannot exceed 100 characters'),
+    
+    body('medications.*.duration')
+      .optional()
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Duration cannot exceed 100 characters'),
+    
+    body('medications.*.instructions')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Instructions cannot exceed 500 characters'),
+    
+    body('notes')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Notes cannot exceed 1000 characters')
+  ],
+  
+  verify: [
+    query('appointmentId')
+      .matches(/^APT\d{6,}$/)
+      .withMessage('Invalid appointment number'),
+    
+    query('code')
+      .matches(/^[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}-[0-9A-Fa-f]{4}$/)
+      .withMessage('Invalid verification code')
+  ],
+  
+  amend: [
+    body('amendmentReason')
+      .trim()
+      .isLength({ min: 5, max: 200 })
+      .withMessage('Amendment reason must be between 5 and 200 characters')
   ]
 };
 